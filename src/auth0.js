@@ -0,0 +1,26 @@
+import logger from './logger';
+
+const AuthenticationClient = require('auth0').AuthenticationClient;
+const ManagementClient = require('auth0').ManagementClient;
+
+/*
+ * Exchange the configured client credentials for a token and create a management client with it.
+ */
+export default function getManagementClient(config) {
+  const domain = config('AUTH0_DOMAIN');
+
+  const authClient = new AuthenticationClient({
+    domain: domain,
+    clientId: config('AUTH0_CLIENT_ID'),
+    clientSecret: config('AUTH0_CLIENT_SECRET')
+  });
+
+  logger.debug('Requesting a management API token for ' + config('AUTH0_CLIENT_ID') + '/' + domain);
+  return authClient.clientCredentialsGrant({
+    audience: `https://${domain}/api/v2/`
+  })
+    .then(response => new ManagementClient({
+      domain: domain,
+      token: response.access_token
+    }));
+}
@@ -0,0 +1,81 @@
+import _ from 'lodash';
+import { RESOURCE_TYPES, formatFieldValue } from './plan';
+import { diffAllFields } from './diff';
+
+const CHANGE_SYMBOLS = {
+  added: '+',
+  changed: '~',
+  removed: '-'
+};
+
+/*
+ * The resources of a normalized context by type, keyed by name.  The databases and the other connections end up in
+ * the same connections of the tenant.
+ */
+const getResources = desired => ({
+  rule: _.mapValues(desired.rules, rule => _.omit(rule, [ 'name' ])),
+  client: desired.clients,
+  clientGrant: desired.clientGrants,
+  resourceServer: desired.resourceServers,
+  connection: _.assign({}, desired.databases, desired.connections),
+  page: desired.pages,
+  emailTemplate: desired.emailTemplates,
+  emailProvider: desired.emailProviders,
+  tenant: desired.tenant ? { settings: desired.tenant } : {}
+});
+
+/*
+ * Compare two normalized contexts, after the keyword mappings were applied to both.  Formatting and the layout of
+ * the files don't matter, only what would be sent to the tenant.
+ */
+export const compareContexts = (before, after) => {
+  const from = getResources(before);
+  const to = getResources(after);
+  const changes = [];
+
+  Object.keys(RESOURCE_TYPES).forEach((type) => {
+    _.union(Object.keys(from[type] || {}), Object.keys(to[type] || {})).sort().forEach((name) => {
+      const previous = from[type] && from[type][name];
+      const next = to[type] && to[type][name];
+
+      if (!previous) {
+        changes.push({ type: type, name: name, action: 'added', changes: diffAllFields({}, next) });
+      } else if (!next) {
+        changes.push({ type: type, name: name, action: 'removed', changes: [] });
+      } else {
+        const fields = diffAllFields(previous, next);
+        if (fields.length > 0) changes.push({ type: type, name: name, action: 'changed', changes: fields });
+      }
+    });
+  });
+
+  return changes;
+};
+
+/*
+ * Render the differences as text, grouped by resource type like a plan and with the secrets masked the same way.
+ */
+export const formatComparison = (changes) => {
+  if (changes.length === 0) return 'No differences.\n';
+
+  const lines = [];
+  Object.keys(RESOURCE_TYPES).forEach((type) => {
+    const items = changes.filter(item => item.type === type);
+    if (items.length === 0) return;
+
+    lines.push(RESOURCE_TYPES[type] + ':');
+    items.forEach((item) => {
+      lines.push('  ' + CHANGE_SYMBOLS[item.action] + ' ' + item.action + ' ' + item.name);
+      item.changes.forEach((change) => {
+        lines.push('      ' + change.field + ': ' + formatFieldValue(change.field, change.from) + ' => ' +
+          formatFieldValue(change.field, change.to));
+      });
+    });
+    lines.push('');
+  });
+
+  const counts = _.countBy(changes, 'action');
+  lines.push('Diff: ' + (counts.added || 0) + ' added, ' + (counts.changed || 0) + ' changed, ' +
+    (counts.removed || 0) + ' removed.');
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,70 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import logger from './logger';
+
+const ValidationError = require('auth0-extension-tools').ValidationError;
+
+/* Connections other than databases, e.g. social, enterprise and passwordless connections */
+export const CONNECTIONS_DIRECTORY = 'connections';
+
+/* Database connections have their own directory with the custom scripts */
+export const isDatabase = connection => connection.strategy === 'auth0';
+
+/*
+ * The clients of a connection can be listed by name, since the client ids differ between tenants.
+ */
+export const resolveEnabledClients = (connection, clients) => {
+  if (!connection.enabled_clients) return connection;
+
+  return _.assign({}, connection, {
+    enabled_clients: connection.enabled_clients.map((nameOrId) => {
+      const client = _.find(clients, item => item.name === nameOrId && !item.global);
+      return client ? client.client_id : nameOrId;
+    })
+  });
+};
+
+/*
+ * Find the connection in the tenant, it has to keep the strategy it was created with.
+ */
+export const findConnection = (name, connection, existingConnections) => {
+  if (isDatabase(connection)) {
+    throw new ValidationError('The connection ' + name + ' is a database, it should be in the database connections directory instead');
+  }
+
+  const existing = _.find(existingConnections, { name: name });
+  if (existing && existing.strategy !== connection.strategy) {
+    throw new ValidationError('The connection ' + name + ' already exists with the strategy ' + existing.strategy +
+      ', it can not be changed to ' + connection.strategy);
+  }
+
+  return existing;
+};
+
+/*
+ * Create or update the connections from the repository, matching them on name and strategy.
+ */
+export default function updateConnections(client, connections) {
+  if (_.isEmpty(connections)) {
+    logger.info('No connections to update');
+    return Promise.resolve();
+  }
+
+  return Promise.props({
+    existingConnections: client.connections.getAll(),
+    clients: client.clients.getAll()
+  })
+    .then(tenant => Promise.each(Object.keys(connections), (name) => {
+      const connection = resolveEnabledClients(connections[name], tenant.clients);
+      const existing = findConnection(name, connection, tenant.existingConnections);
+
+      if (existing) {
+        logger.info('Updating connection ' + name, { type: 'connection', name: name, action: 'update' });
+        /* The name and strategy can't be changed, so the Management API doesn't accept them on an update */
+        return client.connections.update({ id: existing.id }, _.omit(connection, [ 'name', 'strategy' ]));
+      }
+
+      logger.info('Creating connection ' + name, { type: 'connection', name: name, action: 'create' });
+      return client.connections.create(_.assign({}, connection, { name: name }));
+    }));
+}
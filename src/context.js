@@ -1,14 +1,67 @@
 import Promise from 'bluebird';
 import * as fs from 'fs';
 import * as path from 'path';
+import _ from 'lodash';
+import yaml from 'js-yaml';
 import { constants, unifyDatabases, unifyScripts } from '@factorten/auth0-source-control-extension-tools';
+import { createKeywords, formatUnresolved } from './keywords';
+import { TENANT_SETTINGS_FILES } from './tenant';
+import { CONNECTIONS_DIRECTORY } from './connections';
+import { checkRules, splitManualRules } from './rules';
+import { findScriptProblems } from './scripts';
+import { omitExcluded } from './exclusions';
 import logger from './logger';
 
 Promise.promisifyAll(fs);
 
+/* Metadata and configuration files can be written as JSON or as YAML */
+const METADATA_EXTENSIONS = [ '.json', '.yaml', '.yml' ];
+
+const isYaml = fileName => /\.ya?ml$/i.test(fileName);
+
+/*
+ * The constants only know about the JSON name of a metadata file.
+ */
+const asJsonName = fileName => (isYaml(fileName) ? path.parse(fileName).name + '.json' : fileName);
+
+/*
+ * Convert YAML to the JSON the rest of the tools expect.  The mappings are applied first, because a
+ * placeholder like @@KEY@@ isn't valid YAML until it is replaced.
+ */
+const yamlToJson = (fileName, contents) => {
+  try {
+    return JSON.stringify(yaml.safeLoad(contents));
+  } catch (e) {
+    throw new Error('Couldn\'t parse the YAML file ' + fileName + ' because: ' + e.message);
+  }
+};
+
+/*
+ * Read a file with the keyword mappings applied, so a placeholder that can't be replaced is known by its file.
+ */
+const readFile = (fileName, keywords) => fs.readFileAsync(fileName, 'utf8')
+  .then(contents => keywords.replace(contents, fileName));
+
+/*
+ * Read a metadata or configuration file, YAML files are converted to JSON.
+ */
+const readMetadataFile = (fileName, keywords) => readFile(fileName, keywords)
+  .then(contents => (isYaml(fileName) ? yamlToJson(fileName, contents) : contents));
+
+/*
+ * A metadata or configuration file can be written as JSON or as YAML, but not as both.
+ */
+const setFileName = (item, attribute, fileName) => {
+  if (item[attribute]) {
+    logger.warn('Found both ' + item[attribute] + ' and ' + fileName + ', using ' + fileName);
+  }
+
+  item[attribute] = fileName;
+};
+
 const isPage = (file) => {
   var directory = path.basename(path.dirname(file));
-  var fileName = path.basename(file);
+  var fileName = asJsonName(path.basename(file));
   var nameIndex = constants.PAGE_NAMES.indexOf(fileName);
   logger.debug('directory: ' + directory + ', nameIndex: ' + nameIndex);
   return directory === constants.PAGES_DIRECTORY && nameIndex >= 0;
@@ -16,7 +69,7 @@ const isPage = (file) => {
 
 const isEmailTemplate = (file) => {
   const directory = path.basename(path.dirname(file));
-  const fileName = path.basename(file);
+  const fileName = asJsonName(path.basename(file));
   const nameIndex = constants.EMAIL_TEMPLATE_FILENAMES.indexOf(fileName);
   return directory === constants.EMAIL_TEMPLATES_DIRECTORY && nameIndex >= 0;
 };
@@ -30,7 +83,7 @@ const isEmailProvider = (file) => {
 /*
  * Process a single rule with its metadata.
  */
-const processRule = (ruleName, rule) => {
+const processRule = (ruleName, rule, keywords) => {
   const currentRule = {
     script: false,
     metadata: false,
@@ -40,7 +93,7 @@ const processRule = (ruleName, rule) => {
   const fileProcesses = [];
 
   if (rule.script) {
-    fileProcesses.push(fs.readFileAsync(rule.scriptFileName, 'utf8').then(
+    fileProcesses.push(readFile(rule.scriptFileName, keywords).then(
       (contents) => {
         currentRule.script = true;
         currentRule.scriptFile = contents;
@@ -49,7 +102,7 @@ const processRule = (ruleName, rule) => {
   }
 
   if (rule.metadata) {
-    fileProcesses.push(fs.readFileAsync(rule.metadataFileName, 'utf8').then(
+    fileProcesses.push(readMetadataFile(rule.metadataFileName, keywords).then(
       (contents) => {
         currentRule.metadata = true;
         currentRule.metadataFile = contents;
@@ -63,7 +116,7 @@ const processRule = (ruleName, rule) => {
 /*
  * Determine if we have the script, the metadata or both.
  */
-const getRules = (dirPath) => {
+const getRules = (dirPath, keywords) => {
   // Rules object.
   const rules = {};
 
@@ -74,23 +127,23 @@ const getRules = (dirPath) => {
         const ruleName = path.parse(fileName).name;
         const ext = path.parse(fileName).ext;
 
-        if (ext !== '.js' && ext !== '.json') {
-          logger.info('Skipping non-rules file: ' + fileName);
+        if (ext !== '.js' && METADATA_EXTENSIONS.indexOf(ext) < 0) {
+          logger.info('Skipping non-rules file: ' + fileName, { type: 'rule', name: ruleName, action: 'skip' });
         } else {
           rules[ruleName] = rules[ruleName] || {};
 
           if (ext === '.js') {
             rules[ruleName].script = true;
             rules[ruleName].scriptFileName = path.join(dirPath, fileName);
-          } else if (ext === '.json') {
+          } else {
             rules[ruleName].metadata = true;
-            rules[ruleName].metadataFileName = path.join(dirPath, fileName);
+            setFileName(rules[ruleName], 'metadataFileName', path.join(dirPath, fileName));
           }
         }
       });
     })
     .then(() => Promise.map(Object.keys(rules),
-      ruleName => processRule(ruleName, rules[ruleName]), { concurrency: 2 }))
+      ruleName => processRule(ruleName, rules[ruleName], keywords), { concurrency: 2 }))
     .catch((e) => {
       if (e.code === 'ENOENT') {
         logger.info('No rules configured');
@@ -104,7 +157,7 @@ const getRules = (dirPath) => {
 /*
  * Process a single database script.
  */
-const processConfigurableConfig = (configurableName, configurableFiles) => {
+const processConfigurableConfig = (configurableName, configurableFiles, keywords) => {
   const configurable = {
     name: configurableName
   };
@@ -123,7 +176,7 @@ const processConfigurableConfig = (configurableName, configurableFiles) => {
   const filePromises = [];
   attributeNames.forEach(function(names) {
     if (names.name in configurableFiles) {
-      filePromises.push(fs.readFileAsync(configurableFiles[names.name], 'utf8').then(
+      filePromises.push(readMetadataFile(configurableFiles[names.name], keywords).then(
         (contents) => {
           configurable[names.content] = contents;
         }));
@@ -137,18 +190,18 @@ const processConfigurableConfig = (configurableName, configurableFiles) => {
 /*
  * Get all configurable items.
  */
-const getConfigurableConfigs = (dirPath, type) => {
+const getConfigurableConfigs = (dirPath, type, keywords) => {
   const configurables = {};
 
   // Determine if we have the script, the metadata or both.
   return fs.readdirAsync(dirPath).then((files) => {
     files.forEach(function(fileName) {
-      logger.debug('Found ' + type + ' file: ' + fileName);
+      logger.debug('Found ' + type + ' file: ' + fileName, { type: type, name: path.parse(fileName).name, action: 'read' });
       /* check for meta/config pairs */
       const fullFileName = path.join(dirPath, fileName);
       const ext = path.parse(fileName).ext;
-      if (ext !== '.json') {
-        logger.info('Ignoring non-' + type + ' file: ' + fullFileName);
+      if (METADATA_EXTENSIONS.indexOf(ext) < 0) {
+        logger.info('Ignoring non-' + type + ' file: ' + fullFileName, { type: type, action: 'skip' });
       } else {
         let configurableName = path.parse(fileName).name;
         let meta = false;
@@ -163,16 +216,16 @@ const getConfigurableConfigs = (dirPath, type) => {
         configurables[configurableName] = configurables[configurableName] || {};
 
         if (meta) {
-          configurables[configurableName].metadataFileName = fullFileName;
+          setFileName(configurables[configurableName], 'metadataFileName', fullFileName);
         } else {
-          configurables[configurableName].configFileName = fullFileName;
+          setFileName(configurables[configurableName], 'configFileName', fullFileName);
         }
       }
     });
   })
     .then(() => Promise.map(Object.keys(configurables),
       configurableName =>
-        processConfigurableConfig(configurableName, configurables[configurableName]),
+        processConfigurableConfig(configurableName, configurables[configurableName], keywords),
       { concurrency: 2 }))
     .catch((e) => {
       if (e.code === 'ENOENT') {
@@ -187,7 +240,7 @@ const getConfigurableConfigs = (dirPath, type) => {
 /*
  * Read database files.
  */
-const readDatabaseFiles = (databaseName, databaseObject) => {
+const readDatabaseFiles = (databaseName, databaseObject, keywords) => {
   const database = {
     name: databaseName,
     scripts: []
@@ -195,7 +248,7 @@ const readDatabaseFiles = (databaseName, databaseObject) => {
 
   const promises = [];
   databaseObject.scripts.forEach((script) => {
-    promises.push(fs.readFileAsync(script.scriptFileName, 'utf8').then(
+    promises.push(readFile(script.scriptFileName, keywords).then(
       (contents) => {
         database.scripts.push({
           name: script.name,
@@ -205,7 +258,7 @@ const readDatabaseFiles = (databaseName, databaseObject) => {
   });
 
   if (databaseObject.configurationFileName) {
-    promises.push(fs.readFileAsync(databaseObject.configurationFileName, 'utf8').then(
+    promises.push(readMetadataFile(databaseObject.configurationFileName, keywords).then(
       (contents) => {
         database.configurationFile = contents;
         database.configurationFileName = databaseObject.configurationFileName;
@@ -225,9 +278,9 @@ const getDatabaseFileDetails = (filename) => {
   const thisConnectionDir = path.basename(firstDirname);
   const allConnectionsDir = path.basename(path.dirname(firstDirname));
   logger.debug('Found filename: ' + filename + ', base: ' + baseFileName +
-               ', thisConn: ' + thisConnectionDir + ', allConn: ' + allConnectionsDir);
+               ', thisConn: ' + thisConnectionDir + ', allConn: ' + allConnectionsDir, { type: 'connection', name: thisConnectionDir, action: 'read' });
   if (allConnectionsDir === constants.DATABASE_CONNECTIONS_DIRECTORY &&
-    (/\.js$/i.test(baseFileName) || /\.json$/i.test(baseFileName))) {
+    (/\.js$/i.test(baseFileName) || /\.(json|ya?ml)$/i.test(baseFileName))) {
     const isScript = /\.js$/i.test(baseFileName);
     const scriptName = path.parse(baseFileName).name;
     if (isScript) {
@@ -256,7 +309,7 @@ const getDatabaseFileDetails = (filename) => {
 /*
  * Get all database scripts and configuration.
  */
-const getDatabases = (dirPath) => {
+const getDatabases = (dirPath, keywords) => {
   const databases = {};
 
   // Determine if we have the script, the metadata or both.
@@ -276,7 +329,7 @@ const getDatabases = (dirPath) => {
                 details.scriptFileName = fullFileName;
                 databases[details.database].scripts.push(details);
               } else {
-                databases[details.database].configurationFileName = fullFileName;
+                setFileName(databases[details.database], 'configurationFileName', fullFileName);
               }
             }
           });
@@ -286,7 +339,7 @@ const getDatabases = (dirPath) => {
     return Promise.all(filePromises);
   })
     .then(() => Promise.map(Object.keys(databases),
-      databaseName => readDatabaseFiles(databaseName, databases[databaseName]),
+      databaseName => readDatabaseFiles(databaseName, databases[databaseName], keywords),
       { concurrency: 2 }))
     .catch(function(e) {
       if (e.code === 'ENOENT') {
@@ -302,7 +355,7 @@ const getDatabases = (dirPath) => {
 /*
  * Process a single page script.
  */
-const processPage = (pageName, page) => {
+const processPage = (pageName, page, keywords) => {
   const fileProcesses = [];
   const currentPage = {
     metadata: false,
@@ -310,14 +363,14 @@ const processPage = (pageName, page) => {
   };
 
   if (page.fileName) {
-    fileProcesses.push(fs.readFileAsync(page.fileName, 'utf8').then(
+    fileProcesses.push(readFile(page.fileName, keywords).then(
       (contents) => {
         currentPage.htmlFile = contents;
       }));
   }
 
   if (page.metaFileName) {
-    fileProcesses.push(fs.readFileAsync(page.metaFileName, 'utf8').then(
+    fileProcesses.push(readMetadataFile(page.metaFileName, keywords).then(
       (contents) => {
         currentPage.metadata = true;
         currentPage.metadataFile = contents;
@@ -330,14 +383,14 @@ const processPage = (pageName, page) => {
 /*
  * Process a single email provider.
  */
-const processEmailProvider = (providerName, provider) => {
+const processEmailProvider = (providerName, provider, keywords) => {
   const fileProcesses = [];
   const currentProvider = {
     name: providerName
   };
 
   if (provider.fileName) {
-    fileProcesses.push(fs.readFileAsync(provider.fileName, 'utf8').then(
+    fileProcesses.push(readFile(provider.fileName, keywords).then(
       (contents) => {
         currentProvider.configFile = contents;
       }));
@@ -349,7 +402,7 @@ const processEmailProvider = (providerName, provider) => {
 /*
  * Get all pages.
  */
-const getPages = (dirPath) => {
+const getPages = (dirPath, keywords) => {
   const pages = {};
 
   /* Grab the files and loop through them */
@@ -363,10 +416,10 @@ const getPages = (dirPath) => {
           const ext = path.parse(fileName).ext;
           pages[pageName] = pages[pageName] || {};
 
-          if (ext !== '.json') {
+          if (METADATA_EXTENSIONS.indexOf(ext) < 0) {
             pages[pageName].fileName = fullFileName;
           } else {
-            pages[pageName].metaFileName = fullFileName;
+            setFileName(pages[pageName], 'metaFileName', fullFileName);
           }
         } else {
           logger.warn('Skipping file that is not a page: ' + fullFileName);
@@ -374,7 +427,7 @@ const getPages = (dirPath) => {
       });
     })
     .then(() => Promise.map(Object.keys(pages),
-      pageName => processPage(pageName, pages[pageName]), { concurrency: 2 }))
+      pageName => processPage(pageName, pages[pageName], keywords), { concurrency: 2 }))
     .catch(function(e) {
       if (e.code === 'ENOENT') {
         logger.info('No pages configured');
@@ -389,7 +442,7 @@ const getPages = (dirPath) => {
 /*
  * Get all email templates.
  */
-const getEmailTemplates = (dirPath) => {
+const getEmailTemplates = (dirPath, keywords) => {
   const templates = {};
 
   /* Grab the files and loop through them */
@@ -403,10 +456,10 @@ const getEmailTemplates = (dirPath) => {
           const ext = path.parse(fileName).ext;
           templates[templateName] = templates[templateName] || {};
 
-          if (ext !== '.json') {
+          if (METADATA_EXTENSIONS.indexOf(ext) < 0) {
             templates[templateName].fileName = fullFileName;
           } else {
-            templates[templateName].metaFileName = fullFileName;
+            setFileName(templates[templateName], 'metaFileName', fullFileName);
           }
         } else {
           logger.warn('Skipping file that is not an email template: ' + fullFileName);
@@ -415,7 +468,7 @@ const getEmailTemplates = (dirPath) => {
     })
     // Note that processPage works fine here, we don't need a special version for email templates.
     .then(() => Promise.map(Object.keys(templates),
-      templateName => processPage(templateName, templates[templateName]), { concurrency: 2 }))
+      templateName => processPage(templateName, templates[templateName], keywords), { concurrency: 2 }))
     .catch(function(e) {
       if (e.code === 'ENOENT') {
         logger.info('No email templates configured');
@@ -431,7 +484,7 @@ const getEmailTemplates = (dirPath) => {
  * Get email providers, though in practice it will only pick the one
  * named 'default.json'.
  */
-const getEmailProviders = (dirPath) => {
+const getEmailProviders = (dirPath, keywords) => {
   const providers = {};
 
   /* Grab the files and loop through them */
@@ -452,7 +505,7 @@ const getEmailProviders = (dirPath) => {
     })
     // Note that processPage works fine here, we don't need a special version for email templates.
     .then(() => Promise.map(Object.keys(providers),
-      providerName => processEmailProvider(providerName, providers[providerName]), { concurrency: 2 }))
+      providerName => processEmailProvider(providerName, providers[providerName], keywords), { concurrency: 2 }))
     .catch(function(e) {
       if (e.code === 'ENOENT') {
         logger.info('No email providers configured');
@@ -464,10 +517,111 @@ const getEmailProviders = (dirPath) => {
     });
 };
 
-const getChanges = (filePath, mappings) => {
+/*
+ * Get the tenant settings, from tenant.json or tenant/settings.json.  There is only one, named settings.
+ */
+const getTenantSettings = (dirPath, keywords) => {
+  const fileNames = _.flatMap(TENANT_SETTINGS_FILES, baseName => METADATA_EXTENSIONS.map(ext => path.join(dirPath, baseName + ext)))
+    .filter(fileName => fs.existsSync(fileName));
+
+  if (fileNames.length === 0) {
+    logger.info('No tenant settings configured');
+    return Promise.resolve([]);
+  }
+
+  if (fileNames.length > 1) {
+    logger.warn('Found ' + fileNames.join(', ') + ', using ' + fileNames[0]);
+  }
+
+  return readMetadataFile(fileNames[0], keywords)
+    .then(contents => [ { name: 'settings', configFile: contents } ])
+    .catch((e) => {
+      throw new Error('Couldn\'t process the tenant settings because: ' + e.message);
+    });
+};
+
+/*
+ * In a single file the items are keyed by name, so the name can be left out of the item itself.
+ */
+const withNames = items => _.map(items || {}, (item, key) => _.assign({ name: _.isString(key) ? key : undefined }, item));
+
+/*
+ * A file attribute in a single file can be an object instead of a string.  It is turned into the JSON text
+ * the directory layout would have held, with the mappings applied to it.
+ */
+const stringifyFiles = (fileName, item, keywords) => _.mapValues(item, (value, key) => {
+  if (!/File$/.test(key)) return value;
+  return _.isObject(value) ? keywords.replaceObject(value, fileName) : keywords.replace(value, fileName);
+});
+
+/*
+ * A single file can point at a script or html file next to it, e.g. "script": "./rules/foo.js".
+ */
+const readReferencedFile = (baseDir, item, attribute, fileAttribute, keywords) => {
+  if (!attribute || !_.isString(item[attribute]) || item[fileAttribute] !== undefined) {
+    return Promise.resolve(item);
+  }
+
+  return readFile(path.resolve(baseDir, item[attribute]), keywords)
+    .then(contents => _.assign(_.omit(item, [ attribute ]), { [fileAttribute]: contents }))
+    .catch((e) => {
+      throw new Error('Couldn\'t read ' + item[attribute] + ' for ' + item.name + ' because: ' + e.message);
+    });
+};
+
+const processFileItems = (fileName, items, attribute, fileAttribute, keywords) => Promise.map(withNames(items),
+  item => readReferencedFile(path.dirname(fileName), stringifyFiles(fileName, item, keywords), attribute, fileAttribute,
+    keywords));
+
+/* The flags the directory layout sets, unless the file already has them */
+const withRuleFlags = rules => rules.map(rule => _.assign({
+  script: rule.scriptFile !== undefined,
+  metadata: rule.metadataFile !== undefined
+}, rule));
+
+const withMetadataFlag = pages => pages.map(page => _.assign({ metadata: page.metadataFile !== undefined }, page));
+
+/*
+ * The configuration of a database can be written inline, it is read the same way as a configuration.json.
+ */
+const processFileDatabase = (fileName, database, keywords) => {
+  const result = _.omit(database, [ 'configuration' ]);
+  if (database.configuration && !database.configurationFile) {
+    result.configurationFile = keywords.replaceObject(database.configuration, fileName);
+    result.configurationFileName = fileName;
+  }
+
+  return processFileItems(fileName, database.scripts, 'script', 'scriptFile', keywords)
+    .then(scripts => _.assign(result, { scripts: scripts }));
+};
+
+/*
+ * Read a single JSON or YAML file with everything in it, in the same shape the directory layout produces.
+ */
+const getFileChanges = (fileName, keywords) => fs.readFileAsync(fileName, 'utf8')
+  .then((contents) => {
+    try {
+      return isYaml(fileName) ? yaml.safeLoad(contents) : JSON.parse(contents);
+    } catch (e) {
+      throw new Error('Couldn\'t parse ' + fileName + ' because: ' + e.message);
+    }
+  })
+  .then(data => Promise.props({
+    rules: processFileItems(fileName, data.rules, 'script', 'scriptFile', keywords).then(withRuleFlags),
+    pages: processFileItems(fileName, data.pages, 'html', 'htmlFile', keywords).then(withMetadataFlag),
+    databases: Promise.map(withNames(data.databases), database => processFileDatabase(fileName, database, keywords)),
+    clients: processFileItems(fileName, data.clients, null, null, keywords),
+    resourceServers: processFileItems(fileName, data.resourceServers, null, null, keywords),
+    emailTemplates: processFileItems(fileName, data.emailTemplates, 'html', 'htmlFile', keywords).then(withMetadataFlag),
+    emailProviders: processFileItems(fileName, data.emailProviders, null, null, keywords),
+    connections: processFileItems(fileName, data.connections, null, null, keywords),
+    tenant: processFileItems(fileName, data.tenant, null, null, keywords)
+  }));
+
+const getChanges = (filePath, keywords) => {
   var fullPath = path.resolve(filePath);
   var lstat = null;
-  var promises = {};
+  var promises = null;
 
   try {
     lstat = fs.lstatSync(fullPath);
@@ -479,56 +633,108 @@ const getChanges = (filePath, mappings) => {
     /* If this is a directory, look for each file in the directory */
     logger.info('Processing ' + filePath + ' as directory ' + fullPath);
 
-    promises = {
-      rules: getRules(path.join(fullPath, constants.RULES_DIRECTORY)),
-      pages: getPages(path.join(fullPath, constants.PAGES_DIRECTORY)),
-      databases: getDatabases((path.join(fullPath, constants.DATABASE_CONNECTIONS_DIRECTORY))),
-      clients: getConfigurableConfigs((path.join(fullPath, constants.CLIENTS_DIRECTORY)), 'client'),
-      resourceServers: getConfigurableConfigs((path.join(fullPath, constants.RESOURCE_SERVERS_DIRECTORY)), 'resource server'),
-      emailTemplates: getEmailTemplates(path.join(fullPath, constants.EMAIL_TEMPLATES_DIRECTORY)),
-      emailProviders: getEmailProviders(path.join(fullPath, constants.EMAIL_PROVIDERS_DIRECTORY))
-    };
-
-    return Promise.props(promises)
-      .then(result => ({
-        rules: unifyScripts(result.rules, mappings),
-        databases: unifyDatabases(result.databases, mappings),
-        pages: unifyScripts(result.pages, mappings),
-        clients: unifyScripts(result.clients, mappings),
-        resourceServers: unifyScripts(result.resourceServers, mappings),
-        emailTemplates: unifyScripts(result.emailTemplates, mappings),
-        emailProviders: unifyScripts(result.emailProviders, mappings)
-      }));
+    promises = Promise.props({
+      rules: getRules(path.join(fullPath, constants.RULES_DIRECTORY), keywords),
+      pages: getPages(path.join(fullPath, constants.PAGES_DIRECTORY), keywords),
+      databases: getDatabases((path.join(fullPath, constants.DATABASE_CONNECTIONS_DIRECTORY)), keywords),
+      clients: getConfigurableConfigs((path.join(fullPath, constants.CLIENTS_DIRECTORY)), 'client', keywords),
+      resourceServers: getConfigurableConfigs((path.join(fullPath, constants.RESOURCE_SERVERS_DIRECTORY)), 'resource server', keywords),
+      emailTemplates: getEmailTemplates(path.join(fullPath, constants.EMAIL_TEMPLATES_DIRECTORY), keywords),
+      emailProviders: getEmailProviders(path.join(fullPath, constants.EMAIL_PROVIDERS_DIRECTORY), keywords),
+      connections: getConfigurableConfigs(path.join(fullPath, CONNECTIONS_DIRECTORY), 'connection', keywords),
+      tenant: getTenantSettings(fullPath, keywords)
+    });
   } else if (lstat.isFile()) {
-    /* If it is a file, parse it */
-    return Promise.resolve(JSON.parse(fs.readFileSync(fullPath)));
+    /* If it is a file, parse it as YAML or JSON depending on the extension */
+    logger.info('Processing ' + filePath + ' as file ' + fullPath);
+    promises = getFileChanges(fullPath, keywords);
+  } else {
+    return Promise.reject(new Error('Not sure what to do with, ' + fullPath + ', it is not a file or directory...'));
+  }
+
+  /* The mappings were applied as the files were read, so they are not applied again */
+  return promises
+    .then(result => ({
+      rules: unifyScripts(result.rules, {}),
+      databases: unifyDatabases(result.databases, {}),
+      pages: unifyScripts(result.pages, {}),
+      clients: unifyScripts(result.clients, {}),
+      resourceServers: unifyScripts(result.resourceServers, {}),
+      emailTemplates: unifyScripts(result.emailTemplates, {}),
+      emailProviders: unifyScripts(result.emailProviders, {}),
+      connections: unifyScripts(result.connections, {}),
+      tenant: unifyScripts(result.tenant, {})
+    }));
+};
+
+/*
+ * A placeholder that is left would be deployed as it is, e.g. as a broken callback url.  A mapping that no file uses
+ * is most likely a typo.
+ */
+const checkKeywords = (keywords) => {
+  const unresolved = keywords.getUnresolved()
+    .map(item => _.assign({}, item, { fileName: path.relative(process.cwd(), item.fileName) }));
+  if (unresolved.length > 0) {
+    throw new Error('Found placeholders without a keyword mapping or default:\n' + formatUnresolved(unresolved));
   }
 
-  return Promise.reject(new Error('Not sure what to do with, ' + fullPath + ', it is not a file or directory...'));
+  const unused = keywords.getUnusedKeys();
+  if (unused.length > 0) {
+    logger.warn('The keyword mappings ' + unused.join(', ') + ' are not used by any file');
+  }
 };
 
 export default class {
-  constructor(fileName, mappings) {
+  constructor(fileName, mappings, exclusions) {
     this.fileName = fileName;
     this.mappings = mappings;
+    this.exclusions = exclusions || {};
   }
 
+  /*
+   * The deploy of the extension tools calls init() again on the context that was already loaded, validated and
+   * planned.  The input is only loaded once, so what is deployed is what was planned and snapshotted.
+   */
   init(progress) {
+    if (!this.loaded) this.loaded = this.load(progress);
+    return this.loaded;
+  }
+
+  load(progress) {
     var me = this;
     /* If mappings weren't provided, fall back to the ones provided to init() */
     me.mappings = me.mappings || (progress && progress.mappings);
+    const keywords = createKeywords(me.mappings);
     /* First parse the input file */
-    return getChanges(me.fileName, me.mappings)
+    return getChanges(me.fileName, keywords)
       .then(
         /* Map just the data that is in the config file */
         (data) => {
+          checkKeywords(keywords);
+
+          /* Manual rules are only mentioned so the deploy leaves them alone */
+          const rules = splitManualRules(omitExcluded(data.rules || {}, me.exclusions.rules, 'rule'));
+          const problems = checkRules(rules.rules);
+          if (problems.length > 0) {
+            throw new Error(problems.join('\n'));
+          }
+
           me.pages = data.pages || {};
-          me.rules = data.rules || {};
-          me.databases = data.databases || [];
-          me.clients = data.clients || {};
-          me.resourceServers = data.resourceServers || {};
+          me.rules = rules.rules;
+          me.manualRules = rules.manualRules;
+          me.databases = omitExcluded(data.databases || [], me.exclusions.connections, 'database connection');
+          me.clients = omitExcluded(data.clients || {}, me.exclusions.clients, 'client');
+          me.resourceServers = omitExcluded(data.resourceServers || {}, me.exclusions.resourceServers, 'resource server');
           me.emailTemplates = data.emailTemplates || {};
           me.emailProviders = data.emailProviders || {};
+          me.connections = omitExcluded(data.connections || {}, me.exclusions.connections, 'connection');
+          me.tenant = data.tenant || {};
+
+          /* Only the scripts that are deployed are checked, not the excluded or manual ones */
+          const scriptProblems = findScriptProblems(me.fileName, me.rules, me.databases);
+          if (scriptProblems.length > 0) {
+            throw new Error('Found problems in the scripts:\n' + scriptProblems.join('\n'));
+          }
         });
   }
 }
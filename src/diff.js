@@ -0,0 +1,46 @@
+import _ from 'lodash';
+
+/*
+ * Compare the fields of the desired object with the current one the way the deploy applies them: fields that
+ * are not in the desired object are left alone, and nested objects are compared field by field.
+ */
+export default function diffFields(current, desired, prefix) {
+  const changes = [];
+  const existing = current || {};
+
+  Object.keys(desired || {}).forEach((key) => {
+    const field = prefix ? prefix + '.' + key : key;
+    const from = existing[key];
+    const to = desired[key];
+
+    if (_.isPlainObject(from) && _.isPlainObject(to)) {
+      diffFields(from, to, field).forEach(change => changes.push(change));
+    } else if (!_.isEqual(from, to)) {
+      changes.push({ field: field, from: from, to: to });
+    }
+  });
+
+  return changes;
+}
+
+/*
+ * Compare every field of two versions of a resource, nested objects field by field.  A field that is only in one
+ * of them is a change too.
+ */
+export function diffAllFields(before, after, prefix) {
+  const changes = [];
+  const from = before || {};
+  const to = after || {};
+
+  _.union(Object.keys(from), Object.keys(to)).sort().forEach((key) => {
+    const field = prefix ? prefix + '.' + key : key;
+
+    if (_.isPlainObject(from[key]) && _.isPlainObject(to[key])) {
+      diffAllFields(from[key], to[key], field).forEach(change => changes.push(change));
+    } else if (!_.isEqual(from[key], to[key])) {
+      changes.push({ field: field, from: from[key], to: to[key] });
+    }
+  });
+
+  return changes;
+}
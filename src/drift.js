@@ -0,0 +1,101 @@
+import _ from 'lodash';
+import { RESOURCE_TYPES, buildPlan, formatFieldValue } from './plan';
+import { isExcluded } from './exclusions';
+
+/*
+ * The plan says what a deploy would do to the tenant, drift is the same difference seen from the tenant: what a
+ * deploy would create was removed from it, what it would delete was added to it and what it would update was changed.
+ */
+const DRIFT_KINDS = {
+  create: 'removed',
+  delete: 'added',
+  update: 'changed'
+};
+
+const DRIFT_SYMBOLS = {
+  added: '+',
+  removed: '-',
+  changed: '~'
+};
+
+const added = (type, name) => ({ type: type, name: name, kind: 'added', changes: [] });
+
+/*
+ * A deploy never deletes clients, resource servers or connections, so the plan doesn't list the ones that are only
+ * in the tenant.  The global client, the system APIs and the client the deploy logs in with are not managed by the
+ * repository.
+ */
+const findAdded = (desired, tenant, options) => {
+  const exclusions = options.exclusions || {};
+  const clients = tenant.clients
+    .filter(client => !client.global && client.client_id !== options.clientId)
+    .filter(client => !desired.clients[client.name] && !isExcluded(client.name, exclusions.clients))
+    .map(client => added('client', client.name));
+
+  const resourceServers = tenant.resourceServers
+    .filter(resourceServer => !resourceServer.is_system)
+    .filter(resourceServer => !desired.resourceServers[resourceServer.name] &&
+      !isExcluded(resourceServer.name, exclusions.resourceServers))
+    .map(resourceServer => added('resourceServer', resourceServer.name));
+
+  const connections = tenant.connections
+    .filter(connection => !desired.databases[connection.name] && !desired.connections[connection.name] &&
+      !isExcluded(connection.name, exclusions.connections))
+    .map(connection => added('connection', connection.name));
+
+  return clients.concat(resourceServers, connections);
+};
+
+/*
+ * Compare the repository with the tenant, leaving out what is excluded.  The changes list what the tenant has next
+ * to what the repository has.
+ */
+export const findDrift = (desired, tenant, options) => {
+  /* A deploy refuses a database that is not in the tenant, for drift it was removed from the tenant */
+  const missing = Object.keys(desired.databases).filter(name => !_.find(tenant.connections, { name: name }));
+  const plan = buildPlan(_.assign({}, desired, { databases: _.omit(desired.databases, missing) }), tenant,
+    { excludedRules: options.excludedRules });
+
+  const drift = plan
+    .filter(item => DRIFT_KINDS[item.action])
+    .map(item => ({
+      type: item.type,
+      name: item.name,
+      kind: DRIFT_KINDS[item.action],
+      changes: item.action === 'update' ?
+        item.changes.map(change => ({ field: change.field, tenant: change.from, repository: change.to })) : []
+    }))
+    .concat(missing.map(name => ({ type: 'connection', name: name, kind: 'removed', changes: [] })))
+    .concat(findAdded(desired, tenant, options));
+
+  const order = Object.keys(RESOURCE_TYPES);
+  return _.sortBy(drift, item => order.indexOf(item.type));
+};
+
+/*
+ * Render the drift as text, grouped by resource type like a plan and with the secrets masked the same way.
+ */
+export const formatDrift = (drift) => {
+  if (drift.length === 0) return 'No drift, the tenant matches the repository.\n';
+
+  const lines = [];
+  Object.keys(RESOURCE_TYPES).forEach((type) => {
+    const items = drift.filter(item => item.type === type);
+    if (items.length === 0) return;
+
+    lines.push(RESOURCE_TYPES[type] + ':');
+    items.forEach((item) => {
+      lines.push('  ' + DRIFT_SYMBOLS[item.kind] + ' ' + item.kind + ' ' + item.name);
+      item.changes.forEach((change) => {
+        lines.push('      ' + change.field + ': ' + formatFieldValue(change.field, change.repository) + ' in the repository, ' +
+          formatFieldValue(change.field, change.tenant) + ' in the tenant');
+      });
+    });
+    lines.push('');
+  });
+
+  const counts = _.countBy(drift, 'kind');
+  lines.push('Drift: ' + (counts.changed || 0) + ' changed, ' + (counts.added || 0) + ' added, ' +
+    (counts.removed || 0) + ' removed outside of the repository.');
+  return lines.join('\n') + '\n';
+};
@@ -0,0 +1,50 @@
+import _ from 'lodash';
+
+/* The settings an environment adds to instead of replacing */
+const MERGED_SETTINGS = [ 'AUTH0_KEYWORD_REPLACE_MAPPINGS' ];
+
+export const getEnvironmentNames = (value) => {
+  if (!value) return [];
+  return _.uniq(String(value).split(',').map(name => name.trim()).filter(name => name.length > 0));
+};
+
+/*
+ * The settings of an environment are the shared settings of the config file, overridden by the ones in its block
+ * under "environments".  Without an environment only the shared settings are used.
+ */
+export const getEnvironmentSettings = (settings, name) => {
+  const shared = _.omit(settings, 'environments');
+  if (!name) return shared;
+
+  const environments = settings.environments || {};
+  if (!environments[name]) {
+    const known = Object.keys(environments);
+    throw new Error('The environment ' + name + ' is not in the config file, ' +
+      (known.length > 0 ? 'it has: ' + known.join(', ') : 'it has no environments'));
+  }
+
+  const merged = Object.assign({}, shared, environments[name]);
+  MERGED_SETTINGS
+    .filter(key => shared[key] && environments[name][key])
+    .forEach((key) => {
+      merged[key] = Object.assign({}, shared[key], environments[name][key]);
+    });
+
+  return merged;
+};
+
+/*
+ * The settings an environment sets in its own block, with the keyword mappings merged.  Environment variables are
+ * shared by every environment, so in a deploy to several environments they don't override these.
+ */
+export const getEnvironmentOverrides = (settings, name) => {
+  const environments = settings.environments || {};
+  if (!name || !environments[name]) return {};
+
+  return _.pick(getEnvironmentSettings(settings, name), Object.keys(environments[name]));
+};
+
+/*
+ * Every environment is a different tenant, so it gets its own state file next to the configured one.
+ */
+export const getStateFileName = (stateFileName, name) => (name ? stateFileName + '.' + name : stateFileName);
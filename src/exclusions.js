@@ -0,0 +1,63 @@
+import _ from 'lodash';
+import logger from './logger';
+
+/* The configuration setting that holds the exclusions of each type */
+export const EXCLUSION_SETTINGS = {
+  rules: 'AUTH0_EXCLUDED_RULES',
+  clients: 'AUTH0_EXCLUDED_CLIENTS',
+  resourceServers: 'AUTH0_EXCLUDED_RESOURCE_SERVERS',
+  connections: 'AUTH0_EXCLUDED_CONNECTIONS'
+};
+
+const REGEX_PATTERN = /^\/(.+)\/([gimuy]*)$/;
+
+const isLiteral = pattern => !REGEX_PATTERN.test(pattern) && !/[*?]/.test(pattern);
+
+/*
+ * A pattern is either a regular expression like /^team-a-/i, or a glob where * matches anything and ? matches a
+ * single character.  A name without either has to match exactly.
+ */
+const toRegExp = (pattern) => {
+  const regex = REGEX_PATTERN.exec(pattern);
+  if (regex) {
+    return new RegExp(regex[1], regex[2]);
+  }
+
+  return new RegExp('^' + pattern.split('').map((character) => {
+    if (character === '*') return '.*';
+    if (character === '?') return '.';
+    return _.escapeRegExp(character);
+  }).join('') + '$');
+};
+
+export const isExcluded = (name, patterns) => _.some(patterns, pattern => toRegExp(pattern).test(name));
+
+/*
+ * The settings are lists in a config file, but an environment variable can only hold a comma separated string.
+ */
+const toList = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  return String(value).split(',').map(pattern => pattern.trim()).filter(pattern => pattern.length > 0);
+};
+
+export const getExclusions = config => _.mapValues(EXCLUSION_SETTINGS, setting => toList(config(setting)));
+
+/*
+ * Drop the excluded items, either keyed by name like the clients of a context or a list like its databases.
+ */
+export const omitExcluded = (items, patterns, type) => {
+  const check = (name) => {
+    const excluded = isExcluded(name, patterns);
+    if (excluded) logger.info('Skipping excluded ' + type + ': ' + name, { type: type, name: name, action: 'skip' });
+    return excluded;
+  };
+
+  return Array.isArray(items) ? _.reject(items, item => check(item.name)) : _.omitBy(items, (item, name) => check(name));
+};
+
+/*
+ * The deploy only knows exact names, so turn the patterns into the names they match.
+ */
+export const expandExclusions = (patterns, names) => _.uniq(patterns.filter(isLiteral)
+  .concat(names.filter(name => isExcluded(name, patterns))));
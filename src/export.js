@@ -0,0 +1,210 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import _ from 'lodash';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import { CONNECTIONS_DIRECTORY, isDatabase } from './connections';
+import loadTenant, {
+  getPages,
+  omitSecrets,
+  CLIENT_READ_ONLY_FIELDS,
+  CONNECTION_READ_ONLY_FIELDS,
+  RESOURCE_SERVER_READ_ONLY_FIELDS,
+  TENANT_SETTINGS_FILES,
+  TENANT_SETTINGS_READ_ONLY_FIELDS,
+  TENANT_SETTINGS_PAGE_FIELDS
+} from './tenant';
+import logger from './logger';
+
+const EMAIL_TEMPLATE_BODY_FIELDS = [ 'template', 'body' ];
+
+const mkdirIfMissing = (dir) => {
+  if (!fs.existsSync(dir)) {
+    mkdirIfMissing(path.dirname(dir));
+    fs.mkdirSync(dir);
+  }
+
+  return dir;
+};
+
+const writeFile = (fileName, contents) => {
+  logger.debug('Writing ' + fileName);
+  fs.writeFileSync(fileName, contents);
+};
+
+const writeJson = (fileName, data) => writeFile(fileName, JSON.stringify(data, null, 2) + '\n');
+
+/*
+ * Names are used as file names, and the file name is what the deploy uses as the name again.
+ */
+const toFileName = (type, name) => {
+  const fileName = name.replace(/[\\/:*?"<>|]/g, '-');
+  if (fileName !== name) {
+    logger.warn('The ' + type + ' "' + name + '" contains characters that can\'t be used in a file name, it will be exported as "' + fileName + '"');
+  }
+
+  return fileName;
+};
+
+const exportRules = (tenant, dir) => {
+  const rules = tenant.rules;
+  if (rules.length === 0) return 0;
+
+  const rulesDir = mkdirIfMissing(path.join(dir, constants.RULES_DIRECTORY));
+  rules.forEach((rule) => {
+    const fileName = toFileName('rule', rule.name);
+    writeFile(path.join(rulesDir, fileName + '.js'), rule.script);
+    writeJson(path.join(rulesDir, fileName + '.json'), {
+      enabled: rule.enabled,
+      order: rule.order,
+      stage: rule.stage
+    });
+  });
+
+  return rules.length;
+};
+
+const exportClients = (tenant, dir) => {
+  const exported = tenant.clients.filter(item => !item.global);
+  if (exported.length === 0) return 0;
+
+  const clientsDir = mkdirIfMissing(path.join(dir, constants.CLIENTS_DIRECTORY));
+  exported.forEach((item) => {
+    const fileName = toFileName('client', item.name);
+    writeJson(path.join(clientsDir, fileName + '.json'), _.omit(omitSecrets(item), CLIENT_READ_ONLY_FIELDS));
+
+    const clientGrants = tenant.clientGrants.filter(grant => grant.client_id === item.client_id);
+    if (clientGrants.length > 0) {
+      writeJson(path.join(clientsDir, fileName + '.meta.json'), {
+        grants: _.zipObject(_.map(clientGrants, 'audience'), _.map(clientGrants, 'scope'))
+      });
+    }
+  });
+
+  return exported.length;
+};
+
+const exportResourceServers = (tenant, dir) => {
+  const exported = tenant.resourceServers.filter(item => !item.is_system && item.name !== constants.RESOURCE_SERVERS_MANAGEMENT_API_NAME);
+  if (exported.length === 0) return 0;
+
+  const resourceServersDir = mkdirIfMissing(path.join(dir, constants.RESOURCE_SERVERS_DIRECTORY));
+  exported.forEach((item) => {
+    writeJson(path.join(resourceServersDir, toFileName('resource server', item.name) + '.json'), _.omit(omitSecrets(item), RESOURCE_SERVER_READ_ONLY_FIELDS));
+  });
+
+  return exported.length;
+};
+
+const exportDatabases = (tenant, dir) => {
+  const databases = tenant.connections.filter(isDatabase);
+  databases.forEach((connection) => {
+    const connectionDir = mkdirIfMissing(path.join(dir, constants.DATABASE_CONNECTIONS_DIRECTORY, toFileName('database connection', connection.name)));
+    const options = connection.options || {};
+    const scripts = options.customScripts || {};
+
+    Object.keys(scripts)
+      .filter(scriptName => constants.DATABASE_SCRIPTS.indexOf(scriptName) >= 0)
+      .forEach(scriptName => writeFile(path.join(connectionDir, scriptName + '.js'), scripts[scriptName]));
+
+    writeJson(path.join(connectionDir, 'configuration.json'), {
+      options: _.omit(options, [ 'customScripts' ])
+    });
+  });
+
+  return databases.length;
+};
+
+const exportConnections = (tenant, dir) => {
+  const exported = tenant.connections.filter(connection => !isDatabase(connection));
+  if (exported.length === 0) return 0;
+
+  logger.warn('The options of the connections can contain secrets such as client secrets, replace those with keyword mappings before committing them');
+  const connectionsDir = mkdirIfMissing(path.join(dir, CONNECTIONS_DIRECTORY));
+  exported.forEach((connection) => {
+    const data = _.omit(connection, CONNECTION_READ_ONLY_FIELDS);
+
+    /* The client ids differ between tenants, so the clients are listed by name where possible */
+    if (data.enabled_clients) {
+      data.enabled_clients = data.enabled_clients.map((clientId) => {
+        const client = _.find(tenant.clients, { client_id: clientId });
+        return client && !client.global ? client.name : clientId;
+      });
+    }
+
+    writeJson(path.join(connectionsDir, toFileName('connection', connection.name) + '.json'), data);
+  });
+
+  return exported.length;
+};
+
+const exportPages = (tenant, dir) => {
+  const pages = getPages(tenant);
+  if (pages.length === 0) return 0;
+
+  const pagesDir = mkdirIfMissing(path.join(dir, constants.PAGES_DIRECTORY));
+  pages.forEach((page) => {
+    writeFile(path.join(pagesDir, page.name + '.html'), page.html);
+    writeJson(path.join(pagesDir, page.name + '.json'), page.metadata);
+  });
+
+  return pages.length;
+};
+
+const exportEmailTemplates = (tenant, dir) => {
+  const templates = tenant.emailTemplates;
+  if (templates.length === 0) return 0;
+
+  const templatesDir = mkdirIfMissing(path.join(dir, constants.EMAIL_TEMPLATES_DIRECTORY));
+  templates.forEach((template) => {
+    writeFile(path.join(templatesDir, template.template + '.html'), template.body || '');
+    writeJson(path.join(templatesDir, template.template + '.json'), _.omit(template, EMAIL_TEMPLATE_BODY_FIELDS));
+  });
+
+  return templates.length;
+};
+
+const exportEmailProvider = (tenant, dir) => {
+  if (!tenant.emailProvider) return 0;
+
+  /* The management API never returns the credentials, so they have to be added by hand */
+  logger.warn('The email provider credentials can\'t be exported, add them to ' + constants.EMAIL_PROVIDERS_DIRECTORY + '/' +
+    constants.EMAIL_PROVIDER_FILENAME + ' (ideally through a keyword mapping) before deploying it');
+  const providersDir = mkdirIfMissing(path.join(dir, constants.EMAIL_PROVIDERS_DIRECTORY));
+  writeJson(path.join(providersDir, constants.EMAIL_PROVIDER_FILENAME), tenant.emailProvider);
+  return 1;
+};
+
+const exportTenantSettings = (tenant, dir) => {
+  const settings = _.omit(tenant.settings, TENANT_SETTINGS_READ_ONLY_FIELDS.concat(TENANT_SETTINGS_PAGE_FIELDS));
+  if (Object.keys(settings).length === 0) return 0;
+
+  /* The pages are exported on their own, so they are left out of the settings */
+  writeJson(path.join(dir, TENANT_SETTINGS_FILES[0] + '.json'), settings);
+  return 1;
+};
+
+/*
+ * Dump the configuration of a tenant into the directory layout that the Context reads.
+ */
+export default function exportTenant(client, outputDir) {
+  const dir = mkdirIfMissing(path.resolve(outputDir));
+
+  return loadTenant(client)
+    .then((tenant) => {
+      logger.info('Exporting tenant configuration to ' + dir);
+      const counts = {
+        rules: exportRules(tenant, dir),
+        clients: exportClients(tenant, dir),
+        resourceServers: exportResourceServers(tenant, dir),
+        databases: exportDatabases(tenant, dir),
+        connections: exportConnections(tenant, dir),
+        pages: exportPages(tenant, dir),
+        emailTemplates: exportEmailTemplates(tenant, dir),
+        emailProviders: exportEmailProvider(tenant, dir),
+        tenant: exportTenantSettings(tenant, dir)
+      };
+
+      logger.info('Exported: ' + JSON.stringify(counts));
+      return counts;
+    });
+}
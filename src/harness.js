@@ -0,0 +1,314 @@
+import Promise from 'bluebird';
+import * as fs from 'fs';
+import { builtinModules } from 'module';
+import * as path from 'path';
+import _ from 'lodash';
+import yaml from 'js-yaml';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import diffFields from './diff';
+import { formatValue } from './plan';
+import { getRuleMetadata } from './rules';
+import { SCRIPT_SIGNATURES } from './scripts';
+import { DATABASE_ERRORS, callScript, compileScript, createSandbox } from './sandbox';
+
+const ValidationError = require('auth0-extension-tools').ValidationError;
+
+const isYaml = fileName => /\.ya?ml$/i.test(fileName);
+
+/* Auth0 always gives the rules these, so a fixture only needs what a test is about */
+const DEFAULT_USER = { app_metadata: {}, user_metadata: {} };
+const DEFAULT_CONTEXT = { request: {}, idToken: {}, accessToken: {}, stats: {} };
+
+/*
+ * Read a JSON or YAML file.
+ */
+export const readData = (fileName) => {
+  const contents = fs.readFileSync(fileName, 'utf8');
+  try {
+    return isYaml(fileName) ? yaml.safeLoad(contents) : JSON.parse(contents);
+  } catch (e) {
+    throw new ValidationError('Couldn\'t parse ' + fileName + ' because: ' + e.message);
+  }
+};
+
+/*
+ * Read a test file, a JSON or YAML file with the test cases and the configuration they share.
+ */
+export const loadTestFile = (fileName) => {
+  const data = readData(fileName);
+  if (!data || !Array.isArray(data.tests)) {
+    throw new ValidationError('The test file ' + fileName + ' must have a list of tests');
+  }
+
+  data.tests.forEach((test, index) => {
+    if (!test || !test.name) throw new ValidationError('Test ' + (index + 1) + ' in ' + fileName + ' has no name');
+    if (!test.expect) throw new ValidationError('The test "' + test.name + '" in ' + fileName + ' has nothing to expect');
+  });
+
+  return _.assign({ fileName: fileName, configuration: {}, auth0: {} }, data);
+};
+
+/*
+ * A fixture is written in the test itself, or is the name of a JSON or YAML file next to the test file.
+ */
+export const readFixture = (fixture, testFile) => {
+  if (typeof fixture !== 'string') return _.cloneDeep(fixture || {});
+
+  const fileName = path.resolve(path.dirname(testFile), fixture);
+  if (!fs.existsSync(fileName)) {
+    throw new ValidationError('The fixture ' + fixture + ' of ' + testFile + ' does not exist');
+  }
+
+  return readData(fileName);
+};
+
+/*
+ * The rules Auth0 runs on a login, in the order it runs them: enabled rules of the login stage by their order.
+ */
+export const getRuleChain = (rules) => {
+  const chain = _.map(rules, (rule, name) => _.assign({ name: name, source: rule.scriptFile }, getRuleMetadata(rule)))
+    .filter(rule => typeof rule.source === 'string' && rule.enabled !== false)
+    .filter(rule => (rule.stage || constants.DEFAULT_RULE_STAGE) === constants.DEFAULT_RULE_STAGE);
+
+  return _.sortBy(chain, [ rule => (rule.order === undefined ? Infinity : rule.order), 'name' ]);
+};
+
+/*
+ * The management API client the rules get.  Updating the metadata does nothing but remember the call.
+ */
+const createAuth0Stub = (options, calls) => {
+  const record = method => (userId, metadata) => {
+    calls.push({ method: method, userId: userId, metadata: _.cloneDeep(metadata) });
+    return Promise.resolve();
+  };
+
+  const domain = options.domain || 'example.auth0.com';
+  return _.merge({
+    domain: domain,
+    baseUrl: 'https://' + domain + '/api/v2',
+    accessToken: 'test-access-token',
+    users: {
+      updateAppMetadata: record('users.updateAppMetadata'),
+      updateUserMetadata: record('users.updateUserMetadata')
+    }
+  }, _.omit(options, [ 'domain' ]));
+};
+
+/*
+ * Run the rules one after the other like Auth0 does, each one gets the user and context the previous one called
+ * back with.  The first error stops the login.
+ */
+export const runRules = (chain, user, context, options) => {
+  const calls = [];
+  const sandbox = createSandbox({
+    configuration: options.configuration || {},
+    auth0: createAuth0Stub(options.auth0 || {}, calls)
+  });
+
+  const result = { user: user, context: context, error: null, rules: [], auth0Calls: calls };
+  return Promise.each(chain, (rule) => {
+    if (result.error) return null;
+
+    result.rules.push(rule.name);
+    return Promise.try(() => compileScript(rule.source, rule.name + '.js', sandbox))
+      .then(fn => callScript(fn, [ result.user, result.context ], options.timeout))
+      .catch(err => [ err ])
+      .then(([ err, nextUser, nextContext ]) => {
+        if (err) {
+          result.error = { rule: rule.name, name: err.name, message: err.message || String(err) };
+          return;
+        }
+
+        result.user = nextUser || result.user;
+        result.context = nextContext || result.context;
+      });
+  })
+    .then(() => result);
+};
+
+/* An expected error is its message, or a regular expression like /country/ */
+const matchesError = (expected, message) => {
+  const pattern = /^\/(.*)\/([a-z]*)$/.exec(expected);
+  return pattern ? new RegExp(pattern[1], pattern[2]).test(message) : expected === message;
+};
+
+/*
+ * An error is only fine when the test expects it.  The source is what returned the error.
+ */
+const checkError = (expected, error, source, scripts) => {
+  if (expected) {
+    if (!error) return [ 'Expected the error ' + formatValue(expected) + ', but ' + scripts + ' did not return an error' ];
+    if (!matchesError(String(expected), error.message)) {
+      return [ 'Expected the error ' + formatValue(expected) + ', but ' + source + ' returned ' + formatValue(error.message) ];
+    }
+  } else if (error) {
+    return [ source + ' returned the error ' + formatValue(error.message) ];
+  }
+
+  return [];
+};
+
+/*
+ * Compare the outcome of the rules with what the test expects.  Only the fields that are expected are compared, so a
+ * test doesn't break when a rule adds something else.
+ */
+export const checkExpectations = (result, expect) => {
+  const failures = checkError(expect.error, result.error, result.error && result.error.rule, 'the rules');
+
+  [ 'user', 'context' ].forEach((key) => {
+    diffFields(result[key], expect[key]).forEach((change) => {
+      failures.push(key + '.' + change.field + ': expected ' + formatValue(change.to) + ', got ' + formatValue(change.from));
+    });
+  });
+
+  return failures;
+};
+
+/*
+ * Run the tests of a test file against the rules, each test with a fresh sandbox.
+ */
+export const runRuleTests = (rules, testFile, options) => {
+  const chain = getRuleChain(rules);
+
+  return Promise.mapSeries(testFile.tests, (test) => {
+    const only = test.rules ? chain.filter(rule => test.rules.indexOf(rule.name) >= 0) : chain;
+    const missing = _.difference(test.rules || [], _.map(only, 'name'));
+    if (missing.length > 0) {
+      return { name: test.name, passed: false, failures: [ 'There is no enabled rule ' + missing.join(', ') ] };
+    }
+
+    const user = _.defaults(readFixture(test.user, testFile.fileName), DEFAULT_USER);
+    const context = _.defaults(readFixture(test.context, testFile.fileName), DEFAULT_CONTEXT);
+
+    return runRules(only, user, context, {
+      configuration: _.assign({}, testFile.configuration, test.configuration),
+      auth0: testFile.auth0,
+      timeout: options && options.timeout
+    })
+      .then((result) => {
+        const failures = checkExpectations(result, test.expect);
+        return { name: test.name, passed: failures.length === 0, failures: failures };
+      });
+  });
+};
+
+/*
+ * The modules a script requires can be replaced by stubs: a JavaScript file next to the test file, or a value.  A
+ * stub file is loaded again for every test, so a test doesn't see what the previous one left behind.
+ */
+const loadStubs = (modules, testFile) => _.mapValues(modules, (stub) => {
+  if (typeof stub !== 'string') return stub;
+
+  const fileName = path.resolve(path.dirname(testFile), stub);
+  if (!fs.existsSync(fileName)) {
+    throw new ValidationError('The module stub ' + stub + ' of ' + testFile + ' does not exist');
+  }
+
+  delete require.cache[require.resolve(fileName)];
+
+  /* eslint-disable global-require, import/no-dynamic-require */
+  return require(fileName);
+  /* eslint-enable global-require, import/no-dynamic-require */
+});
+
+/*
+ * The modules of Node are required as usual.  Any other module has to be stubbed, a script should never get whatever
+ * version the CLI happens to have installed.
+ */
+const createStubbedRequire = stubs => (module) => {
+  if (_.has(stubs, module)) return stubs[module];
+  if (!_.includes(builtinModules, module)) {
+    throw new Error('The module ' + module + ' is not stubbed, add it to the modules of the test file');
+  }
+
+  /* eslint-disable global-require, import/no-dynamic-require */
+  return require(module);
+  /* eslint-enable global-require, import/no-dynamic-require */
+};
+
+/*
+ * Run a database script like Auth0 does, with the configuration of its connection.  Resolves with the error and the
+ * rest of the arguments it called back with.
+ */
+export const runDatabaseScript = (source, name, args, options) => {
+  const sandbox = createSandbox(_.assign({
+    configuration: options.configuration || {},
+    require: createStubbedRequire(options.modules || {})
+  }, DATABASE_ERRORS));
+
+  return Promise.try(() => compileScript(source, name + '.js', sandbox))
+    .then(fn => callScript(fn, args, options.timeout))
+    .catch(err => [ err ])
+    .then(([ err, ...results ]) => ({
+      script: name,
+      error: err ? { script: name, name: err.name, message: err.message || String(err) } : null,
+      results: results
+    }));
+};
+
+/*
+ * Compare what a database script called back with to what the test expects.  When both are objects, like the
+ * profile of a login, only the expected fields are compared.
+ */
+export const checkDatabaseExpectations = (result, expect) => {
+  const failures = checkError(expect.error, result.error, result.script, 'the script');
+  if (expect.result === undefined) return failures;
+
+  const actual = result.results[0];
+  if (_.isPlainObject(actual) && _.isPlainObject(expect.result)) {
+    diffFields(actual, expect.result).forEach((change) => {
+      failures.push('result.' + change.field + ': expected ' + formatValue(change.to) + ', got ' + formatValue(change.from));
+    });
+  } else if (!_.isEqual(actual, expect.result)) {
+    failures.push('result: expected ' + formatValue(expect.result) + ', got ' + formatValue(actual));
+  }
+
+  return failures;
+};
+
+/*
+ * The arguments of a database script without the callback, from a list or from an object with their names.
+ */
+const getScriptArguments = (script, input) => (Array.isArray(input) ? input :
+  SCRIPT_SIGNATURES[script].slice(0, -1).map(name => input[name]));
+
+/*
+ * Run the tests of a test file against the scripts of a normalized database connection.  The configuration of the
+ * test file is added to the one of the connection.
+ */
+export const runDatabaseTests = (database, testFile, options) => {
+  const scripts = database.options.customScripts || {};
+
+  return Promise.mapSeries(testFile.tests, (test) => {
+    const fail = failure => ({ name: test.name, passed: false, failures: [ failure ], error: null, results: [] });
+    if (constants.DATABASE_SCRIPTS.indexOf(test.script) < 0) {
+      return fail('The script must be one of ' + constants.DATABASE_SCRIPTS.join(', '));
+    }
+    if (typeof scripts[test.script] !== 'string') {
+      return fail('The connection ' + database.name + ' has no ' + test.script + ' script');
+    }
+
+    return runDatabaseScript(scripts[test.script], test.script, getScriptArguments(test.script, readFixture(test.input, testFile.fileName)), {
+      configuration: _.assign({}, database.options.configuration, testFile.configuration, test.configuration),
+      modules: loadStubs(_.assign({}, testFile.modules, test.modules), testFile.fileName),
+      timeout: options && options.timeout
+    })
+      .then((result) => {
+        const failures = checkDatabaseExpectations(result, test.expect);
+        return { name: test.name, passed: failures.length === 0, failures: failures, error: result.error, results: result.results };
+      });
+  });
+};
+
+/*
+ * Render the results of a test file, with what went wrong under every test that failed.
+ */
+export const formatTestResults = (fileName, results) => {
+  const lines = [ fileName ];
+  results.forEach((result) => {
+    lines.push('  ' + (result.passed ? '✓ ' : '✗ ') + result.name);
+    result.failures.forEach(failure => lines.push('      ' + failure));
+  });
+
+  return lines.join('\n') + '\n';
+};
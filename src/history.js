@@ -0,0 +1,88 @@
+import _ from 'lodash';
+import { createReport } from './report';
+import logger from './logger';
+
+/* The history is an audit trail, so it is kept much longer than the snapshots.  --history_limit changes it */
+export const MAX_HISTORY = 100;
+
+/*
+ * What a deploy did, from the same result as the report.  The resources that were left unchanged are left out, the
+ * history is about what changed.
+ */
+export const createHistoryEntry = (result, inputFile) => {
+  const report = createReport(result);
+  return Object.assign(_.omit(report, [ 'dryRun', 'resources' ]), {
+    input: inputFile || null,
+    resources: report.resources.filter(resource => resource.action !== 'unchanged')
+  });
+};
+
+/*
+ * Add a deploy to the history, dropping the oldest ones beyond the limit.  A limit of 0 keeps every deploy.
+ */
+export const addToHistory = (storage, entry, limit) => storage.readHistory()
+  .then((history) => {
+    const max = limit === undefined ? MAX_HISTORY : limit;
+    const entries = history.concat([ entry ]);
+    if (max === 0 || entries.length <= max) return storage.writeHistory(entries);
+
+    const dropped = entries.length - max;
+    logger.info('Dropping the ' + dropped + ' oldest deploy(s) from the history, it keeps the latest ' + max);
+    return storage.writeHistory(_.takeRight(entries, max));
+  });
+
+export const findHistoryEntry = (history, deployId) => _.find(history, { deployId: deployId });
+
+/* The newest deploys first */
+export const getLatest = (history, limit) => _.take(history.slice().reverse(), limit || history.length);
+
+const formatUser = progress => (progress ? progress.user + '@' + progress.branch : 'unknown');
+
+const formatCounts = (resources) => {
+  const counts = _.countBy(resources, 'action');
+  return Object.keys(counts).sort().map(action => counts[action] + ' ' + action).join(', ') || 'no changes';
+};
+
+/*
+ * One line per deploy, the newest first.
+ */
+export const formatHistory = (entries) => {
+  if (entries.length === 0) return 'There are no deploys in the history.\n';
+
+  return entries.map(entry => [
+    entry.deployId,
+    entry.startedAt,
+    entry.status,
+    formatUser(entry.progress),
+    entry.environment ? entry.tenant + ' (' + entry.environment + ')' : entry.tenant,
+    formatCounts(entry.resources)
+  ].join('  ')).join('\n') + '\n';
+};
+
+/*
+ * Everything about a single deploy, with the resources it changed.
+ */
+export const formatHistoryEntry = (entry) => {
+  const lines = [
+    'Deploy ' + entry.deployId,
+    '  Status:      ' + entry.status,
+    '  Tenant:      ' + entry.tenant + (entry.environment ? ' (' + entry.environment + ')' : ''),
+    '  Input:       ' + (entry.input || 'unknown'),
+    '  By:          ' + formatUser(entry.progress) + (entry.progress ? ', ' + entry.progress.repository : ''),
+    '  Started at:  ' + entry.startedAt,
+    '  Finished at: ' + entry.finishedAt + ' (' + (entry.duration / 1000) + 's)'
+  ];
+
+  if (entry.error) lines.push('  Error:       ' + entry.error.message + ' (exit code ' + entry.error.exitCode + ')');
+
+  lines.push('');
+  if (entry.resources.length === 0) {
+    lines.push('No resources were changed.');
+  } else {
+    lines.push('Resources:');
+    entry.resources.forEach(resource => lines.push('  ' + resource.action + ' ' + resource.type + ' ' + resource.name +
+      (resource.applied === false ? ' (not applied)' : '')));
+  }
+
+  return lines.join('\n') + '\n';
+};
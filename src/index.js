@@ -1,10 +1,30 @@
 #! /usr/bin/env node
 
+import Promise from 'bluebird';
 import moment from 'moment';
 import username from 'username';
 import os from 'os';
 import Context from './context';
-import Storage from './storage';
+import createStorage from './storage';
+import exportTenant from './export';
+import { buildPlan, formatPlan } from './plan';
+import { findDrift, formatDrift } from './drift';
+import { compareContexts, formatComparison } from './compare';
+import { formatTestResults, loadTestFile, readData, runDatabaseTests, runRuleTests } from './harness';
+import { formatPreviews, previewEmails, writePreviews } from './preview';
+import validateContext, { formatErrors } from './validate';
+import getManagementClient from './auth0';
+import loadTenant, { updateTenantSettings } from './tenant';
+import updateConnections from './connections';
+import prepareRuleOrder, { findOrderConflicts } from './rules';
+import { expandExclusions, getExclusions } from './exclusions';
+import { createSecretResolver, decryptSecrets, encryptSecrets, findSecretErrors } from './secrets';
+import { getEnvironmentNames, getEnvironmentOverrides, getEnvironmentSettings } from './environments';
+import { EXIT_CODES, combineReports, createReport, getExitCode, markPhase, writeReport } from './report';
+import normalizeContext, { normalizeConnections, normalizeTenantSettings } from './normalize';
+import rollback, { findSnapshot, saveSnapshot, takeSnapshot } from './snapshot';
+import { addToHistory, createHistoryEntry, findHistoryEntry, formatHistory, formatHistoryEntry, getLatest } from './history';
+import { addSecret, addSensitiveValues, redactText } from './redact';
 import logger from './logger';
 
 /**
@@ -16,8 +36,19 @@ const HttpsProxyAgent = require('https-proxy-agent');
 var program = require('commander');
 var tools = require('@factorten/auth0-source-control-extension-tools');
 var fs = require('fs');
-const AuthenticationClient = require('auth0').AuthenticationClient;
-const ManagementClient = require('auth0').ManagementClient;
+const path = require('path');
+const extensionTools = require('auth0-extension-tools');
+
+const ValidationError = extensionTools.ValidationError;
+
+/* The extension tools log the progress of a deploy with their own logger, which would leave it unredacted */
+try {
+  /* eslint-disable global-require, import/no-dynamic-require */
+  logger.forward(require(path.join(path.dirname(require.resolve('@factorten/auth0-source-control-extension-tools')), 'logger')));
+  /* eslint-enable global-require, import/no-dynamic-require */
+} catch (e) {
+  logger.warn('The log of the extension tools is not redacted, because its logger could not be found: ' + e.message);
+}
 
 /**
  * Simple function for dumping help info
@@ -28,7 +59,7 @@ function printHelpAndExit(error) {
   if (error) {
     process.stderr.write('ERROR: ' + error + '\n');
   }
-  process.exit(2);
+  process.exit(EXIT_CODES.USAGE_ERROR);
 }
 
 /**
@@ -46,16 +77,434 @@ function checkFileExists(fileName) {
   }
 }
 
+/**
+ * Write the result of a command, like a plan or the drift, to stdout.  CI often posts it somewhere, so the secrets
+ * are redacted from it just like from the log output.
+ * @param text The text to write
+ */
+function writeOutput(text) {
+  process.stdout.write(redactText(text));
+}
+
+/**
+ * How many of each kind of item the input has.  Only the counts are logged, the context holds the keyword mappings.
+ * @param context The loaded context
+ * @returns {string}
+ */
+function describeContext(context) {
+  const items = {
+    rules: context.rules,
+    clients: context.clients,
+    'resource servers': context.resourceServers,
+    'database connections': context.databases,
+    connections: context.connections,
+    pages: context.pages,
+    'email templates': context.emailTemplates,
+    'email providers': context.emailProviders
+  };
+
+  return Object.keys(items).map(name => Object.keys(items[name] || {}).length + ' ' + name).join(', ');
+}
+
+/**
+ * Load the input file and check it against the schemas, before anything is sent to the tenant.
+ * @param config The configuration that holds the keyword mappings and exclusions
+ * @returns {Promise.<Context>}
+ */
+function loadContext(config) {
+  const mappings = config('AUTH0_KEYWORD_REPLACE_MAPPINGS');
+
+  /* Grab data from file, leaving out everything that is excluded */
+  const context = new Context(program.input_file, mappings, getExclusions(config));
+
+  return context.init()
+    .then(() => {
+      logger.info('Loaded ' + describeContext(context));
+
+      /* Validate the JSON */
+      const errors = validateContext(context, mappings);
+      if (errors.length > 0) {
+        logger.error('Validation errors:\n' + formatErrors(errors));
+        throw new ValidationError('Found ' + errors.length + ' validation error(s) in ' + program.input_file);
+      }
+
+      return context;
+    });
+}
+
+/**
+ * Run the test files against the input of every environment, the mappings can give the scripts different values.
+ * @param targets The environments to run the tests for
+ * @param testFiles The names of the test files
+ * @param kind What is tested, for the summary
+ * @param runFile Runs the tests of a test file against the loaded context
+ * @returns {Promise}
+ */
+function runTestFiles(targets, testFiles, kind, runFile) {
+  const runTargetTests = target => loadContext(target.config)
+    .catch(markPhase('validation'))
+    .then(context => Promise.mapSeries(testFiles, fileName => Promise.try(() => runFile(context, loadTestFile(fileName)))
+      .then((results) => {
+        writeOutput(formatTestResults(fileName + (target.name ? ' (' + target.name + ')' : ''), results));
+        return results;
+      })));
+
+  return Promise.mapSeries(targets, runTargetTests)
+    .then((results) => {
+      const all = results.reduce((list, files) => files.reduce((tests, file) => tests.concat(file), list), []);
+      const failed = all.filter(result => !result.passed).length;
+      writeOutput(kind + ' tests: ' + (all.length - failed) + ' passed, ' + failed + ' failed.\n');
+
+      if (failed > 0) {
+        const err = new Error(failed + ' ' + kind.toLowerCase() + ' test(s) failed');
+        err.phase = 'test';
+        throw err;
+      }
+    });
+}
+
+/*
+ * The command to run once the arguments are processed, with the files it needs.  Deploy unless another
+ * command was given.
+ */
+let command = null;
+
 /* Setup our options */
 program
   .option('-v,--verbose', 'Dump extra debug information.')
   .option('-i,--input_file <input file>', 'The updates to deploy.  Either a JSON file, or directory that contains' +
     ' the correct file layout.  See README and online for more info.', checkFileExists)
   .option('-c,--config_file <config file>', 'The JSON configuration file.', checkFileExists)
-  .option('-s,--state_file <state file>', 'A file for persisting state between runs.  Default: ./local/state', checkFileExists)
+  .option('-s,--state_file <state file>', 'A file for persisting state between runs.  Default: ./local/state')
+  .option('--state_dir <state directory>', 'A directory for persisting state between runs, instead of a file.')
+  .option('--storage_module <module>', 'A Node module that stores the state between runs, instead of a file.')
   .option('-p,--proxy_url <proxy_url>', 'A url for proxying requests, only set this if you are behind a proxy.')
   .option('-x,--secret <secret>', 'The client secret, this allows you to encrypt the secret in your build' +
-    ' configuration instead of storing it in a config file');
+    ' configuration instead of storing it in a config file')
+  .option('-d,--dry_run', 'Show what the deploy would create, update and delete in the tenant, without changing anything.')
+  .option('-r,--report <report file>', 'Write a JSON report of the deploy to this file.')
+  .option('--log_format <format>', 'The format of the log: text or json.  Default: text')
+  .option('--log_file <log file>', 'Also write the log to this file.')
+  .option('-q,--quiet', 'Only log errors to the console.')
+  .option('--lock_timeout <seconds>', 'How long to wait for another deploy to the tenant to finish.  Default: 0, fail' +
+    ' right away', value => parseInt(value, 10))
+  .option('--history_limit <count>', 'The number of deploys the history keeps, 0 keeps all of them.  Default: 100',
+    value => parseInt(value, 10))
+  .option('-e,--env <environments>', 'The environments of the config file to use, separated by commas.  A deploy' +
+    ' goes to each of them in order.');
+
+program
+  .command('export')
+  .description('Export the configuration of the tenant into a directory that can be used as the input of a deploy.')
+  .option('-o,--output_folder <output folder>', 'The directory to write the tenant configuration to.')
+  .action(function(cmd) {
+    if (!cmd.output_folder) {
+      printHelpAndExit('Must set the output folder');
+    }
+
+    command = {
+      needsInput: false,
+      needsConfig: true,
+      singleEnvironment: true,
+      run: (targets) => {
+        logger.info('output_folder: %s', JSON.stringify(cmd.output_folder));
+        return getManagementClient(targets[0].config)
+          .catch(markPhase('authentication'))
+          .then(mgmtClient => exportTenant(mgmtClient, cmd.output_folder));
+      }
+    };
+  });
+
+program
+  .command('validate')
+  .description('Validate the input file against the schemas without contacting the tenant, the config file is only needed for keyword mappings.')
+  .action(function() {
+    command = {
+      needsInput: true,
+      needsConfig: false,
+      run: targets => Promise.mapSeries(targets, target => loadContext(target.config)
+        .catch(markPhase('validation'))
+        .then(() => logger.info('No validation errors found in ' + program.input_file +
+          (target.name ? ' for the ' + target.name + ' environment' : ''))))
+    };
+  });
+
+program
+  .command('drift')
+  .description('Report what was changed in the tenant outside of the repository, without changing anything.')
+  .option('--json', 'Write the drift as JSON.')
+  .action(function(cmd) {
+    /* Drift of a single environment */
+    const findTargetDrift = target => loadContext(target.config)
+      .catch(markPhase('validation'))
+      .then(context => getManagementClient(target.config)
+        .catch(markPhase('authentication'))
+        .then(mgmtClient => loadTenant(mgmtClient))
+        .then(tenant => findDrift(normalizeContext(context), tenant, {
+          excludedRules: context.exclusions.rules.concat(context.manualRules),
+          exclusions: context.exclusions,
+          clientId: target.config('AUTH0_CLIENT_ID')
+        })));
+
+    command = {
+      needsInput: true,
+      needsConfig: true,
+      run: targets => Promise.mapSeries(targets, target => findTargetDrift(target)
+        .then((drift) => {
+          if (!cmd.json) {
+            writeOutput((target.name ? 'Environment ' + target.name + ':\n' : '') + formatDrift(drift));
+          }
+
+          return { environment: target.name, drift: drift };
+        }))
+        .then((results) => {
+          if (cmd.json) {
+            writeOutput(JSON.stringify(targets.length > 1 ? results : results[0], null, 2) + '\n');
+          }
+
+          const total = results.reduce((sum, result) => sum + result.drift.length, 0);
+          if (total > 0) {
+            const err = new Error('Found ' + total + ' resource(s) that drifted from the repository');
+            err.phase = 'drift';
+            throw err;
+          }
+        })
+    };
+  });
+
+program
+  .command('diff <pathA> <pathB>')
+  .description('Show how two versions of the input differ once the keyword mappings of the config file are applied,' +
+    ' without contacting the tenant.')
+  .option('--json', 'Write the differences as JSON.')
+  .action(function(pathA, pathB, cmd) {
+    checkFileExists(pathA);
+    checkFileExists(pathB);
+
+    /* Both versions get the same mappings and exclusions, so only the input itself can differ */
+    const load = (fileName, config) => {
+      const context = new Context(fileName, config('AUTH0_KEYWORD_REPLACE_MAPPINGS'), getExclusions(config));
+      return context.init()
+        .then(() => normalizeContext(context))
+        .catch((err) => {
+          throw new ValidationError('Unable to load ' + fileName + ' because: ' + err.message);
+        });
+    };
+
+    command = {
+      needsInput: false,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: targets => Promise.mapSeries([ pathA, pathB ], fileName => load(fileName, targets[0].config))
+        .then(([ before, after ]) => {
+          const changes = compareContexts(before, after);
+          writeOutput(cmd.json ? JSON.stringify(changes, null, 2) + '\n' : formatComparison(changes));
+        })
+    };
+  });
+
+program
+  .command('test-rules <files...>')
+  .description('Run the rules of the input file locally against the fixtures of the test files and check the outcome,' +
+    ' without contacting the tenant.')
+  .option('--timeout <seconds>', 'How long a rule can take to call back.  Default: 20', value => parseInt(value, 10))
+  .action(function(testFiles, cmd) {
+    testFiles.forEach(checkFileExists);
+
+    command = {
+      needsInput: true,
+      needsConfig: false,
+      run: targets => runTestFiles(targets, testFiles, 'Rule', (context, testFile) =>
+        runRuleTests(context.rules, testFile, { timeout: cmd.timeout && cmd.timeout * 1000 }))
+    };
+  });
+
+program
+  .command('test-db <connection> <files...>')
+  .description('Run the scripts of a database connection of the input file locally against the test files and check' +
+    ' what they call back with, without contacting the tenant.')
+  .option('--timeout <seconds>', 'How long a script can take to call back.  Default: 20', value => parseInt(value, 10))
+  .action(function(connection, testFiles, cmd) {
+    testFiles.forEach(checkFileExists);
+
+    command = {
+      needsInput: true,
+      needsConfig: false,
+      run: targets => runTestFiles(targets, testFiles, 'Database', (context, testFile) => {
+        const database = normalizeContext(context).databases[connection];
+        if (!database) {
+          throw new ValidationError('There is no database connection ' + connection + ' in ' + program.input_file);
+        }
+
+        return runDatabaseTests(database, testFile, { timeout: cmd.timeout && cmd.timeout * 1000 });
+      })
+    };
+  });
+
+program
+  .command('preview-emails')
+  .description('Render the email templates of the input file with the sample data of a fixtures file and check them,' +
+    ' without contacting the tenant.')
+  .option('-f,--fixtures <fixtures file>', 'A JSON or YAML file with the sample data to render the templates with.')
+  .option('-o,--output_folder <output folder>', 'The directory to write the rendered templates to.')
+  .action(function(cmd) {
+    if (!cmd.fixtures) {
+      printHelpAndExit('Must set the fixtures file');
+    }
+    if (!cmd.output_folder) {
+      printHelpAndExit('Must set the output folder');
+    }
+    checkFileExists(cmd.fixtures);
+
+    command = {
+      needsInput: true,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: targets => loadContext(targets[0].config)
+        .catch(markPhase('validation'))
+        .then(context => previewEmails(normalizeContext(context).emailTemplates, readData(cmd.fixtures)))
+        .then((previews) => {
+          writeOutput(formatPreviews(writePreviews(previews, cmd.output_folder)));
+
+          const failed = previews.filter(preview => preview.problems.length > 0).length;
+          if (failed > 0) {
+            throw new ValidationError('Found problems in ' + failed + ' email template(s)');
+          }
+        })
+    };
+  });
+
+program
+  .command('rollback [deployId]')
+  .description('Restore the tenant to how it was before a deploy, the latest one unless a deploy ID is given.')
+  .action(function(deployId) {
+    command = {
+      needsInput: false,
+      needsConfig: true,
+      singleEnvironment: true,
+      run: (targets) => {
+        const storage = targets[0].openStorage();
+        return storage.readSnapshots()
+          .then((snapshots) => {
+            const snapshot = findSnapshot(snapshots, deployId);
+            if (!snapshot) {
+              throw new ValidationError(deployId ? 'There is no snapshot of deploy ' + deployId + ', the snapshots are: ' +
+                (snapshots.map(item => item.deployId).join(', ') || 'none') : 'There are no snapshots to roll back to');
+            }
+
+            /* A rollback changes the tenant just like a deploy, so it needs the lock too */
+            return getManagementClient(targets[0].config)
+              .catch(markPhase('authentication'))
+              .then(mgmtClient => username()
+                .then(userName => storage.lock({
+                  deployId: 'rollback of ' + snapshot.deployId,
+                  tenant: targets[0].config('AUTH0_DOMAIN'),
+                  user: userName,
+                  host: os.hostname()
+                }, program.lock_timeout))
+                .then(releaseLock => rollback(mgmtClient, snapshot)
+                  .catch(markPhase('deploy'))
+                  .finally(releaseLock)))
+              .then(() => {
+                snapshot.rolledBackAt = new Date().toISOString();
+                return storage.writeSnapshots(snapshots);
+              });
+          });
+      }
+    };
+  });
+
+program
+  .command('history [show] [deployId]')
+  .description('List the deploys to the tenant, or show one of them with "history show <deployId>".')
+  .option('-l,--limit <count>', 'The number of deploys to list.  Default: 20', value => parseInt(value, 10))
+  .option('--json', 'Write the history as JSON.')
+  .action(function(action, deployId, cmd) {
+    if (action && action !== 'show') {
+      printHelpAndExit('Unknown history command: ' + action);
+    }
+    if (action && !deployId) {
+      printHelpAndExit('Must set the deploy ID to show');
+    }
+
+    const write = (value, format) => writeOutput(cmd.json ? JSON.stringify(value, null, 2) + '\n' : format(value));
+
+    command = {
+      needsInput: false,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: targets => targets[0].openStorage().readHistory()
+        .then((history) => {
+          if (!action) {
+            return write(getLatest(history, cmd.limit || 20), formatHistory);
+          }
+
+          const entry = findHistoryEntry(history, deployId);
+          if (!entry) throw new ValidationError('There is no deploy ' + deployId + ' in the history');
+          return write(entry, formatHistoryEntry);
+        })
+    };
+  });
+
+program
+  .command('unlock')
+  .description('Remove the lock of a deploy to the tenant that is no longer running.')
+  .action(function() {
+    command = {
+      needsInput: false,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: targets => targets[0].openStorage().unlock()
+    };
+  });
+
+program
+  .command('encrypt-secrets <secrets file>')
+  .description('Encrypt a JSON file of secrets with AUTH0_SECRETS_KEY, so it can be used as the AUTH0_SECRETS_FILE.')
+  .option('-o,--output_file <output file>', 'The file to write the encrypted secrets to.')
+  .action(function(secretsFile, cmd) {
+    if (!cmd.output_file) {
+      printHelpAndExit('Must set the output file');
+    }
+
+    command = {
+      needsInput: false,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: (targets) => {
+        const password = targets[0].config('AUTH0_SECRETS_KEY');
+        if (!password) throw new ValidationError('AUTH0_SECRETS_KEY must be set to encrypt the secrets');
+
+        const secrets = JSON.parse(fs.readFileSync(secretsFile, 'utf8'));
+        fs.writeFileSync(cmd.output_file, JSON.stringify(encryptSecrets(secrets, password), null, 2) + '\n');
+        logger.info('Wrote ' + Object.keys(secrets).length + ' encrypted secret(s) to ' + cmd.output_file);
+      }
+    };
+  });
+
+program
+  .command('decrypt-secrets <secrets file>')
+  .description('Decrypt the AUTH0_SECRETS_FILE with AUTH0_SECRETS_KEY, to change the secrets.')
+  .option('-o,--output_file <output file>', 'The file to write the decrypted secrets to.')
+  .action(function(secretsFile, cmd) {
+    if (!cmd.output_file) {
+      printHelpAndExit('Must set the output file');
+    }
+
+    command = {
+      needsInput: false,
+      needsConfig: false,
+      singleEnvironment: true,
+      run: (targets) => {
+        const password = targets[0].config('AUTH0_SECRETS_KEY');
+        if (!password) throw new ValidationError('AUTH0_SECRETS_KEY must be set to decrypt the secrets');
+
+        const secrets = decryptSecrets(JSON.parse(fs.readFileSync(secretsFile, 'utf8')), password);
+        fs.writeFileSync(cmd.output_file, JSON.stringify(secrets, null, 2) + '\n');
+        logger.info('Wrote the decrypted secrets to ' + cmd.output_file + ', do not commit this file');
+      }
+    };
+  });
 
 /* Add extra help for JSON */
 program.on('--help', function() {
@@ -66,48 +515,116 @@ program.on('--help', function() {
 /* Process arguments */
 program.parse(process.argv);
 
-if (program.verbose) logger.transports.console.level = 'debug';
+if (program.log_format && logger.LOG_FORMATS.indexOf(program.log_format) < 0) {
+  printHelpAndExit('The log format must be one of: ' + logger.LOG_FORMATS.join(', '));
+}
+
+logger.configureOutput({
+  format: program.log_format,
+  file: program.log_file,
+  verbose: program.verbose,
+  quiet: program.quiet
+});
 
-/* Make sure we have the input file and config file specified. */
-if (!program.input_file) {
+/* Make sure we have the input file and config file specified when the command needs them. */
+if ((!command || command.needsInput) && !program.input_file) {
   printHelpAndExit('Must set the input file');
 }
-if (!program.config_file) {
+if ((!command || command.needsConfig) && !program.config_file) {
   printHelpAndExit('Must set the config file');
 }
 
-const stateFileName = program.state_file ? program.state_file : './local/state';
+const environments = getEnvironmentNames(program.env);
+if (command && command.singleEnvironment && environments.length > 1) {
+  printHelpAndExit('Must set a single environment');
+}
+if (program.secret && environments.length > 1) {
+  printHelpAndExit('Can\'t use --secret with several environments, they all have a client secret of their own');
+}
+if (environments.length > 0 && !program.config_file) {
+  printHelpAndExit('Must set the config file that holds the environments');
+}
+if (program.history_limit !== undefined && !(program.history_limit >= 0)) {
+  printHelpAndExit('The history limit must be a number of deploys, or 0 to keep all of them');
+}
+
 
 logger.info('input_file: %s', JSON.stringify(program.input_file));
 logger.info('config_file: %s', JSON.stringify(program.config_file));
 logger.info('state_file: %s', JSON.stringify(program.state_file));
+logger.info('state_dir: %s', JSON.stringify(program.state_dir));
+logger.info('storage_module: %s', JSON.stringify(program.storage_module));
 logger.info('proxy_url: %s', JSON.stringify(program.proxy_url));
+logger.info('env: %s', JSON.stringify(program.env));
 
-/* Grab data from file */
-const context = new Context(program.input_file);
+/* Prepare configuration by initializing nconf, then passing that as the provider to the config object */
+const nconf = require('nconf');
 
-logger.info('input_file: %s', JSON.stringify(context));
+const readSettings = (fileName) => {
+  try {
+    return fileName ? JSON.parse(fs.readFileSync(fileName, 'utf8')) : {};
+  } catch (e) {
+    return printHelpAndExit(fileName + ': Must be a valid JSON file, ' + e.message);
+  }
+};
 
-/* Validate the JSON */
+/* The settings that are checked for secrets that can't be resolved, next to the ones in the config file */
+const CHECKED_SETTINGS = [ 'AUTH0_DOMAIN', 'AUTH0_CLIENT_ID', 'AUTH0_CLIENT_SECRET', 'AUTH0_KEYWORD_REPLACE_MAPPINGS' ];
 
-/* Prepare configuration by initializing nconf, then passing that as the provider to the config object */
-const nconf = require('nconf');
+const createConfig = (settings, overrides) => {
+  const provider = new nconf.Provider();
 
-/* Allow passed in secret to override the configured one */
-if (program.secret) {
-  nconf.overrides({
-    AUTH0_CLIENT_SECRET: program.secret
-  });
-}
+  /* Allow passed in secret to override the configured one */
+  if (program.secret) {
+    addSecret(program.secret);
+  }
+  provider.overrides(Object.assign({}, overrides, program.secret ? { AUTH0_CLIENT_SECRET: program.secret } : {}));
 
-/* Allow environment variables to override the configuration file */
-nconf
-  .env()
-  .file(program.config_file);
+  /* Allow environment variables to override the configuration file */
+  provider.env();
+  provider.defaults(settings);
+
+  /* Replace the references to secrets wherever a setting is read */
+  const resolveSetting = createSecretResolver(key => provider.get(key));
+
+  const config = extensionTools.config();
+  config.setProvider((key) => {
+    const value = resolveSetting(key);
+
+    /* The mappings are replaced into the files, so their secrets would show up in everything that logs them */
+    if (key === 'AUTH0_KEYWORD_REPLACE_MAPPINGS') addSensitiveValues(value);
+    return value;
+  });
+  return {
+    config: config,
+    findSecretErrors: () => findSecretErrors(resolveSetting, Object.keys(settings).concat(CHECKED_SETTINGS))
+  };
+};
 
-const config = require('auth0-extension-tools').config();
+/*
+ * Every environment is a tenant with its own configuration and state file, without environments there is only the
+ * configuration file itself.
+ */
+const settings = readSettings(program.config_file);
+const targets = (environments.length > 0 ? environments : [ null ]).map((name) => {
+  try {
+    /* With several environments, what an environment sets itself can't be overridden for all of them at once */
+    const overrides = environments.length > 1 ? getEnvironmentOverrides(settings, name) : {};
+    const target = Object.assign({ name: name }, createConfig(getEnvironmentSettings(settings, name), overrides));
 
-config.setProvider(key => nconf.get(key));
+    /* The storage is only opened by the commands that need it */
+    target.openStorage = () => createStorage({
+      stateFile: program.state_file,
+      stateDir: program.state_dir,
+      storageModule: program.storage_module,
+      environment: name,
+      config: target.config
+    });
+    return target;
+  } catch (e) {
+    return printHelpAndExit(e.message);
+  }
+});
 
 /* Monkey Patch the superagent for proxy use */
 if (program.proxy_url) {
@@ -122,50 +639,164 @@ if (program.proxy_url) {
   };
 }
 
-username().then((userName) => {
-  /* Execute the deploy */
-  const progress = {
-    id: userName,
-    user: userName,
-    sha: moment().format(),
-    branch: os.hostname(),
-    repository: 'Auth0 Deploy CLI'
-  };
+/*
+ * Every deploy that got the lock goes into the history, also when it failed.  A history that can't be written
+ * shouldn't fail a deploy that already changed the tenant.
+ */
+const recordDeploy = (storage, result) => Promise.resolve()
+  .then(() => addToHistory(storage, createHistoryEntry(result, program.input_file), program.history_limit))
+  .catch(err => logger.warn('Could not add the deploy to the history: ' + err.message));
 
-  const authClient = new AuthenticationClient({
-    domain: config('AUTH0_DOMAIN'),
-    clientId: config('AUTH0_CLIENT_ID'),
-    clientSecret: config('AUTH0_CLIENT_SECRET')
-  });
+/*
+ * Deploy the input file to the tenant of the target.
+ */
+const runDeploy = (context, mgmtClient, result, target) => {
+  /* Rules marked as manual in the repository are excluded just like the ones in the config file */
+  const excludedRules = context.exclusions.rules.concat(context.manualRules);
+
+  /* The plan is what the report lists for every resource, and what the snapshot keeps the current version of */
+  /* The plan can still find the repository invalid against the tenant, that is not an error of the deploy itself */
+  const plan = () => loadTenant(mgmtClient).then(tenant => Promise.try(() => {
+    const desired = normalizeContext(context);
+    result.plan = buildPlan(desired, tenant, { excludedRules: excludedRules });
+
+    const conflicts = findOrderConflicts(context.rules, tenant.rules, excludedRules);
+    if (conflicts.length > 0) throw new ValidationError(conflicts.join('\n'));
 
-  return authClient.clientCredentialsGrant({
-    audience: `https://${config('AUTH0_DOMAIN')}/api/v2/`
+    return { desired: desired, tenant: tenant };
   })
-    .then(function(response) {
-      const mgmtClient = new ManagementClient({
-        domain: config('AUTH0_DOMAIN'),
-        token: response.access_token
-      });
-      /* Before running deploy, let's copy excluded rules to storage */
-      const storage = new Storage(stateFileName);
-      return storage.read()
+    .catch(markPhase('validation')));
+
+  if (program.dry_run) {
+    return plan().then(() => writeOutput((target.name ? 'Environment ' + target.name + ':\n' : '') +
+      formatPlan(result.plan)));
+  }
+
+  return username().then((userName) => {
+    /* Execute the deploy */
+    result.progress = {
+      id: userName,
+      user: userName,
+      sha: moment().format(),
+      branch: os.hostname(),
+      repository: 'Auth0 Deploy CLI'
+    };
+    result.deployId = logger.getRunId();
+
+    /* Only one deploy at a time can change the tenant, so the plan is made once the lock is ours */
+    const storage = target.openStorage();
+    const locked = Promise.resolve(storage.lock({
+      deployId: result.deployId,
+      tenant: result.tenant,
+      user: userName,
+      host: os.hostname()
+    }, program.lock_timeout));
+
+    return locked.then(releaseLock => plan()
+      /* Keep what is about to change, so the deploy can be rolled back */
+      .then(({ desired, tenant }) => saveSnapshot(storage, takeSnapshot(result.deployId, result.plan, desired, tenant))
+        .then(() => storage.read())
         .then((data) => {
-          data.excluded_rules = config('AUTH0_EXCLUDED_RULES') || [];
-          storage.write(data);
-
-          return tools.deploy(progress, context, mgmtClient, storage, config, {
-            repository: 'Tool',
-            id: 'Username',
-            branch: 'Host',
-            sha: 'Date/Time'
-          });
+          /* Before running deploy, let's copy excluded rules to storage */
+          /* The deploy only compares exact names, so store the names of the rules the patterns match */
+          data.excluded_rules = expandExclusions(excludedRules, tenant.rules.map(rule => rule.name));
+          return storage.write(data);
         })
-        .catch(function(err) {
+        .then(() => prepareRuleOrder(mgmtClient, context.rules, excludedRules))
+        .then(() => tools.deploy(result.progress, context, mgmtClient, storage, target.config, {
+          repository: 'Tool',
+          id: 'Username',
+          branch: 'Host',
+          sha: 'Date/Time'
+        }))
+        .then((summary) => {
+          result.summary = summary;
+        })
+        .then(() => updateConnections(mgmtClient, normalizeConnections(context)))
+        .then(() => updateTenantSettings(mgmtClient, normalizeTenantSettings(context)))
+        .catch(markPhase('deploy')))
+      .then(() => recordDeploy(storage, result), (err) => {
+        result.error = err;
+        return recordDeploy(storage, result).then(() => {
           throw err;
         });
+      })
+      .finally(releaseLock));
+  });
+};
+
+/*
+ * The input is loaded and validated for every environment before anything is deployed, since the keyword mappings
+ * can differ.  The environments are then deployed in order, stopping at the first one that fails.
+ */
+const deploy = () => {
+  const results = [];
+  const report = () => {
+    if (program.report) {
+      const reports = results.map(result => createReport(result));
+      writeReport(program.report, targets.length > 1 ? combineReports(reports) : reports[0]);
+      logger.info('Wrote the report to ' + program.report);
+    }
+  };
+
+  const createResult = target => ({
+    startedAt: new Date(),
+    dryRun: !!program.dry_run,
+    environment: target.name,
+    tenant: target.config('AUTH0_DOMAIN')
+  });
+
+  const failed = result => (err) => {
+    result.error = err;
+    results.push(result);
+    throw err;
+  };
+
+  return Promise.mapSeries(targets, (target) => {
+    const result = createResult(target);
+    return loadContext(target.config)
+      .catch(markPhase('validation'))
+      .catch(failed(result))
+      .then(context => ({ target: target, context: context }));
+  })
+    .then(loaded => Promise.mapSeries(loaded, ({ target, context }) => {
+      const result = createResult(target);
+      logger.setContext({ tenant: result.tenant, environment: target.name || undefined });
+      if (target.name) logger.info('Deploying to the ' + target.name + ' environment: ' + result.tenant);
+
+      return getManagementClient(target.config)
+        .catch(markPhase('authentication'))
+        .then(mgmtClient => runDeploy(context, mgmtClient, result, target))
+        .then(() => results.push(result), failed(result));
+    }))
+    .then(() => report(), (err) => {
+      report();
+      throw err;
+    })
+    .then(() => {
+      if (targets.length > 1) logger.info('Finished the environments ' + targets.map(target => target.name).join(', '));
     });
-}).catch(function(err) {
-  logger.error('Exiting due to error: ' + JSON.stringify(err.message));
-  logger.error(err.stack);
-  process.exit(-1);
-});
+};
+
+/*
+ * Report every secret that can't be resolved at once, instead of failing on the first one halfway through.
+ */
+const checkSecrets = () => {
+  const errors = targets.reduce((all, target) => all.concat(target.findSecretErrors()), []);
+  if (errors.length > 0) {
+    logger.error('Secret errors:\n' + errors.join('\n'));
+    throw new ValidationError('Found ' + errors.length + ' secret(s) that could not be resolved');
+  }
+};
+
+Promise.resolve()
+  .then(() => {
+    if (!command || command.needsInput || command.needsConfig) checkSecrets();
+  })
+  .then(() => (command ? command.run(targets) : deploy()))
+  .catch(function(err) {
+    logger.error('Exiting due to error: ' + JSON.stringify(err.message));
+    logger.error(err.stack);
+    /* Let the process end on its own, so the history, the report and the log file are written before it does */
+    process.exitCode = getExitCode(err);
+  });
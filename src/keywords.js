@@ -0,0 +1,108 @@
+import _ from 'lodash';
+
+/*
+ * A placeholder is ##KEY## or @@KEY@@, with an optional default after a colon like ##KEY:default##.  A key with
+ * dots like @@urls.api@@ is looked up in nested mappings.
+ */
+const PLACEHOLDER = /(##|@@)([^\s:#@"'<>]+?)(?::((?:(?!\1)[^\n])*?))?\1/g;
+
+/*
+ * Placeholders Auth0 fills in itself when it serves a page, like the @@config@@ of the custom login page.  They are
+ * left as they are unless there is a mapping for them.
+ */
+const RUNTIME_PLACEHOLDERS = [ 'config' ];
+
+/*
+ * A key is looked up as it is first, so a mapping with a dot in its name keeps working.
+ */
+const lookup = (mappings, key) => {
+  if (_.has(mappings, [ key ])) return { found: true, value: mappings[key], key: key };
+  if (key.indexOf('.') > 0 && _.has(mappings, key)) return { found: true, value: _.get(mappings, key), key: key.split('.')[0] };
+  return { found: false };
+};
+
+/* The default of @@KEY:default@@ is JSON when it can be parsed, e.g. a number, and a string otherwise */
+const parseDefault = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return value;
+  }
+};
+
+/*
+ * Create the keyword replacement for a set of mappings.  ##KEY## is replaced with the value as is, @@KEY@@ with the
+ * value as JSON.  It remembers which mappings were used and which placeholders could not be replaced, with the file
+ * they were found in.
+ */
+export const createKeywords = (mappings) => {
+  const used = {};
+  const unresolved = [];
+
+  const resolve = (delimiter, key, defaultValue, fileName) => {
+    const mapping = lookup(mappings || {}, key);
+    if (mapping.found) {
+      used[mapping.key] = true;
+      return { found: true, value: mapping.value };
+    }
+
+    if (defaultValue !== undefined) {
+      return { found: true, value: delimiter === '@@' ? parseDefault(defaultValue) : defaultValue };
+    }
+
+    if (delimiter !== '@@' || RUNTIME_PLACEHOLDERS.indexOf(key) < 0) {
+      unresolved.push({ fileName: fileName, placeholder: delimiter + key + delimiter });
+    }
+
+    return { found: false };
+  };
+
+  const replace = (input, fileName) => {
+    if (typeof input !== 'string') return input;
+
+    return input.replace(PLACEHOLDER, (placeholder, delimiter, key, defaultValue) => {
+      const result = resolve(delimiter, key, defaultValue, fileName);
+      if (!result.found) return placeholder;
+      return delimiter === '##' ? String(result.value) : JSON.stringify(result.value);
+    });
+  };
+
+  /*
+   * Data that was already parsed is turned into JSON.  A string that is nothing but @@KEY@@ becomes the value itself,
+   * so numbers, arrays and objects can be mapped without breaking the syntax.
+   */
+  const replaceObject = (data, fileName) => {
+    const json = JSON.stringify(data).replace(/"@@([^\s:#@"'<>]+?)(?::((?:(?!@@)[^"\\])*?))?@@"/g,
+      (placeholder, key, defaultValue) => {
+        const result = resolve('@@', key, defaultValue, fileName);
+        return result.found ? JSON.stringify(result.value) : placeholder;
+      });
+
+    return replace(json, fileName);
+  };
+
+  return {
+    replace: replace,
+    replaceObject: replaceObject,
+    getUnresolved: () => _.uniqWith(unresolved, _.isEqual),
+    getUnusedKeys: () => Object.keys(mappings || {}).filter(key => !used[key])
+  };
+};
+
+/*
+ * Replace the keyword mappings in a string, leaving the placeholders that can't be replaced.
+ */
+export const keywordReplace = (input, mappings) => createKeywords(mappings).replace(input);
+
+/*
+ * Replace the keyword mappings in data that was already parsed and turn it into JSON.
+ */
+export const keywordReplaceObject = (data, mappings) => createKeywords(mappings).replaceObject(data);
+
+/*
+ * List the placeholders that were left, one line per file.
+ */
+export const formatUnresolved = unresolved => _.map(_.groupBy(unresolved, 'fileName'), (items, fileName) =>
+  '  ' + fileName + ': ' + _.uniq(_.map(items, 'placeholder')).join(', ')).join('\n');
+
+export default keywordReplace;
@@ -0,0 +1,154 @@
+import Promise from 'bluebird';
+import * as fs from 'fs';
+import os from 'os';
+import logger from './logger';
+
+/* A deploy that holds a lock for longer than this has crashed without cleaning up */
+export const STALE_LOCK_AGE = 60 * 60 * 1000;
+
+/*
+ * The lock is created before its contents are written, so a lock that can't be read may still be written by the run
+ * that holds it.  It is only stale once it has been left like that for a while.
+ */
+export const INVALID_LOCK_GRACE = 10 * 1000;
+
+const RETRY_INTERVAL = 1000;
+
+/*
+ * The lock sits next to the state file, so it covers every run that shares the state of a tenant.
+ */
+export const getLockFileName = stateFileName => stateFileName + '.lock';
+
+/*
+ * Read the lock, a lock that can't be parsed is invalid and keeps the time it was last written.
+ */
+export const readLock = (fileName) => {
+  try {
+    return JSON.parse(fs.readFileSync(fileName, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+  }
+
+  try {
+    return { invalid: true, modifiedAt: fs.statSync(fileName).mtime.getTime() };
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+};
+
+const isSameLock = (a, b) => (a.invalid ? b.invalid && a.modifiedAt === b.modifiedAt :
+  !b.invalid && a.pid === b.pid && a.host === b.host && a.startedAt === b.startedAt);
+
+const isRunning = (pid) => {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+};
+
+/*
+ * A lock is stale when it is too old, or when the process that holds it is gone.  That can only be checked on the
+ * host that holds it.
+ */
+export const isStale = (lock, now) => {
+  if (lock.invalid) return (now || Date.now()) - lock.modifiedAt > INVALID_LOCK_GRACE;
+  if ((now || Date.now()) - new Date(lock.startedAt).getTime() > STALE_LOCK_AGE) return true;
+  return lock.host === os.hostname() && !isRunning(lock.pid);
+};
+
+export const describeLock = lock => (lock.invalid ? 'an unreadable lock' : 'deploy ' + lock.deployId + ' by ' + lock.user +
+  ' on ' + lock.host + ' (pid ' + lock.pid + ') since ' + lock.startedAt);
+
+const createLockError = (fileName, lock) => {
+  const err = new Error('The tenant is locked by ' + describeLock(lock) + ', run "a0deploy unlock" if that deploy ' +
+    'is no longer running (' + fileName + ')');
+  err.phase = 'lock';
+  return err;
+};
+
+/* Creating the file fails when it exists, so only one run can get the lock */
+const tryLock = (fileName, lock) => {
+  try {
+    fs.writeFileSync(fileName, JSON.stringify(lock, null, 2), { flag: 'wx' });
+    return true;
+  } catch (e) {
+    if (e.code === 'EEXIST') return false;
+    throw e;
+  }
+};
+
+/*
+ * Only remove the lock when it is still ours, it may have been removed as stale and taken by another run.
+ */
+export function releaseLock(fileName, lock) {
+  const current = readLock(fileName);
+  if (current && isSameLock(current, lock)) {
+    fs.unlinkSync(fileName);
+    logger.debug('Released the lock ' + fileName);
+  }
+}
+
+/*
+ * Remove a stale lock only when it is still the one that was found stale, another run may have replaced it in the
+ * meantime.
+ */
+const removeStaleLock = (fileName, stale) => {
+  const current = readLock(fileName);
+  if (current && isSameLock(current, stale)) {
+    logger.warn('Removing the stale lock of ' + describeLock(stale));
+    fs.unlinkSync(fileName);
+  }
+};
+
+/*
+ * Get the lock for a run, removing a stale lock on the way.  When another run holds the lock, wait for it up to the
+ * timeout in seconds, or fail right away without a timeout.  Resolves with a function that releases the lock.
+ */
+export default function acquireLock(fileName, owner, timeout) {
+  const lock = Object.assign({ pid: process.pid, startedAt: new Date().toISOString() }, owner);
+  const deadline = Date.now() + ((timeout || 0) * 1000);
+  let waiting = false;
+
+  const attempt = () => {
+    if (tryLock(fileName, lock)) {
+      logger.debug('Acquired the lock ' + fileName);
+      return Promise.resolve(() => releaseLock(fileName, lock));
+    }
+
+    const current = readLock(fileName);
+    if (current && isStale(current)) {
+      removeStaleLock(fileName, current);
+      return attempt();
+    }
+
+    if (Date.now() >= deadline) {
+      return Promise.reject(createLockError(fileName, current || { invalid: true }));
+    }
+
+    if (!waiting) {
+      logger.info('Waiting for the lock of ' + (current ? describeLock(current) : 'another deploy'));
+      waiting = true;
+    }
+
+    return Promise.delay(RETRY_INTERVAL).then(attempt);
+  };
+
+  return Promise.try(attempt);
+}
+
+/*
+ * Remove the lock whoever holds it, for the unlock command.
+ */
+export function removeLock(fileName) {
+  const current = readLock(fileName);
+  if (!current) {
+    logger.info('There is no lock to remove (' + fileName + ')');
+    return;
+  }
+
+  fs.unlinkSync(fileName);
+  logger.info('Removed the lock of ' + describeLock(current));
+}
@@ -1,23 +1,115 @@
 const winston = require('winston');
+const crypto = require('crypto');
+const redact = require('./redact');
+const EXIT_CODES = require('./report').EXIT_CODES;
 
 winston.emitErrs = true;
 
+/* The fields every line carries, for the run as a whole and for the resource it is about */
+const CONTEXT_FIELDS = [ 'runId', 'tenant', 'environment' ];
+const RESOURCE_FIELDS = [ 'type', 'name', 'action' ];
+
+const context = {
+  runId: crypto.randomBytes(8).toString('hex')
+};
+
+const formatMeta = (meta) => {
+  const keys = Object.keys(meta || {}).filter(key => CONTEXT_FIELDS.indexOf(key) < 0 && RESOURCE_FIELDS.indexOf(key) < 0);
+  if (keys.length === 0) return '';
+  return ' ' + keys.map(key => key + '=' + (typeof meta[key] === 'object' ? JSON.stringify(meta[key]) : meta[key]))
+    .join(', ');
+};
+
+/*
+ * The text format is meant to be read, so it leaves out the structured fields.  The JSON format writes one object
+ * per line with all of them.
+ */
+const FORMATTERS = {
+  text: colorize => options => new Date().toISOString() + ' - ' +
+    (colorize ? winston.config.colorize(options.level) : options.level) + ': ' + options.message +
+    formatMeta(options.meta),
+  json: () => options => JSON.stringify(Object.assign({
+    timestamp: new Date().toISOString(),
+    level: options.level,
+    message: options.message
+  }, options.meta))
+};
+
+const consoleOptions = (format, level) => ({
+  level: level,
+  json: false,
+  formatter: FORMATTERS[format](format === 'text')
+});
+
 const logger = new winston.Logger({
   transports: [
-    new winston.transports.Console({
-      timestamp: true,
-      level: 'info',
-      handleExceptions: true,
-      json: false,
-      colorize: true
-    })
+    new winston.transports.Console(consoleOptions('text', 'info'))
+  ],
+  /* Every line carries the fields of the run */
+  rewriters: [
+    (level, msg, meta) => Object.assign({}, context, meta)
+  ],
+  /* Secrets are redacted before any transport sees the message */
+  filters: [
+    (level, msg, meta) => ({ msg: redact.redactText(msg), meta: redact.redactObject(meta) })
   ],
   exitOnError: false
 });
 
+/*
+ * Winston logs uncaught exceptions straight to the transports, so they go through the logger instead.  A crash still
+ * has to fail the run, so the process ends with the exit code of an internal error.
+ */
+const logCrash = kind => (err) => {
+  logger.error(kind + ': ' + (err && err.stack ? err.stack : err));
+  process.exitCode = EXIT_CODES.INTERNAL_ERROR;
+};
+
+process.on('uncaughtException', logCrash('uncaughtException'));
+process.on('unhandledRejection', logCrash('unhandledRejection'));
+
 module.exports = logger;
+module.exports.LOG_FORMATS = Object.keys(FORMATTERS);
+
+/*
+ * Set up where the log goes and how it looks.  With quiet only errors go to the console, the log file still gets
+ * everything.
+ */
+module.exports.configureOutput = (options) => {
+  const format = options.format || 'text';
+  const level = options.verbose ? 'debug' : 'info';
+
+  logger.clear();
+  logger.add(winston.transports.Console, consoleOptions(format, options.quiet ? 'error' : level));
+  if (options.file) {
+    logger.add(winston.transports.File, {
+      filename: options.file,
+      level: level,
+      json: false,
+      formatter: FORMATTERS[format](false)
+    });
+  }
+};
+
+module.exports.getRunId = () => context.runId;
+
+/*
+ * Add fields to every line that follows, e.g. the tenant that is being deployed to.
+ */
+module.exports.setContext = (fields) => {
+  Object.assign(context, fields);
+};
+
 module.exports.stream = {
   write: (message) => {
     logger.info(message.replace(/\n$/, ''));
   }
 };
+
+/*
+ * Send the lines of another winston logger through this one, so they get the same output and redaction.  The
+ * extension tools log the progress of a deploy with a logger of their own.
+ */
+module.exports.forward = (other) => {
+  other.log = (...args) => logger.log(...args);
+};
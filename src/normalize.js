@@ -0,0 +1,106 @@
+import _ from 'lodash';
+
+/*
+ * Parse a file that was loaded by the context, keyword mappings have already been applied to it.
+ */
+const parseJson = (type, name, contents) => {
+  if (typeof contents === 'object') return contents;
+
+  try {
+    return JSON.parse(contents);
+  } catch (e) {
+    throw new Error('Unable to parse the ' + type + ' ' + name + ' because: ' + e.message);
+  }
+};
+
+const normalizeRule = (rule) => {
+  const metadata = rule.metadata ? parseJson('rule metadata', rule.name, rule.metadataFile) : {};
+  const normalized = {
+    name: rule.name,
+    enabled: metadata.enabled !== undefined ? metadata.enabled : true
+  };
+
+  /* Without a script file the deploy keeps the script that is already there */
+  if (rule.script) normalized.script = rule.scriptFile;
+  if (metadata.order !== undefined) normalized.order = metadata.order;
+  if (metadata.stage) normalized.stage = metadata.stage;
+
+  return normalized;
+};
+
+const normalizeConfigurable = type => item => _.assign(parseJson(type, item.name, item.configFile), { name: item.name });
+
+const normalizeClientGrants = clients => _(clients)
+  .values()
+  .filter(client => client.metadataFile)
+  .flatMap((client) => {
+    const grants = parseJson('client metadata', client.name, client.metadataFile).grants || {};
+    return Object.keys(grants).map(audience => ({ client: client.name, audience: audience, scope: grants[audience] }));
+  })
+  .keyBy(grant => grant.client + ' (' + grant.audience + ')')
+  .value();
+
+const normalizeDatabase = (database) => {
+  let configuration = database.configuration;
+  if (!configuration && database.configurationFile) {
+    configuration = parseJson('database configuration', database.name, database.configurationFile);
+  }
+
+  configuration = configuration || {};
+  return _.assign({}, _.omit(configuration, [ 'options' ]), {
+    name: database.name,
+    options: _.assign({}, configuration.options, {
+      customScripts: _.mapValues(database.scripts, script => script.scriptFile)
+    })
+  });
+};
+
+const normalizePage = (page) => {
+  const metadata = page.metadata ? parseJson('page metadata', page.name, page.metadataFile) : {};
+  const normalized = {
+    html: page.htmlFile,
+    enabled: metadata.enabled !== undefined ? metadata.enabled : true
+  };
+
+  if (metadata.url) normalized.url = metadata.url;
+  return normalized;
+};
+
+const normalizeEmailTemplate = (template) => {
+  const metadata = template.metadata ? parseJson('email template metadata', template.name, template.metadataFile) : {};
+  return _.assign(_.omit(metadata, [ 'template', 'body' ]), {
+    template: template.name,
+    body: template.htmlFile
+  });
+};
+
+/*
+ * Connections other than databases, keyed by name.
+ */
+export const normalizeConnections = context => _.mapValues(context.connections, normalizeConfigurable('connection'));
+
+/*
+ * The tenant settings are kept as a single item named settings.
+ */
+export const normalizeTenantSettings = (context) => {
+  const settings = context.tenant && context.tenant.settings;
+  return settings ? parseJson('tenant settings', settings.name, settings.configFile) : null;
+};
+
+/*
+ * Turn the files loaded by the context into the objects the deploy sends to the tenant, keyed by name.
+ */
+export default function normalizeContext(context) {
+  return {
+    rules: _.mapValues(context.rules, normalizeRule),
+    clients: _.mapValues(context.clients, normalizeConfigurable('client')),
+    clientGrants: normalizeClientGrants(context.clients),
+    resourceServers: _.mapValues(context.resourceServers, normalizeConfigurable('resource server')),
+    databases: _.keyBy(_.map(context.databases, normalizeDatabase), 'name'),
+    connections: normalizeConnections(context),
+    pages: _.mapValues(context.pages, normalizePage),
+    emailTemplates: _.mapValues(context.emailTemplates, normalizeEmailTemplate),
+    emailProviders: _.mapValues(context.emailProviders, provider => parseJson('email provider', provider.name, provider.configFile)),
+    tenant: normalizeTenantSettings(context)
+  };
+}
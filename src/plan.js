@@ -0,0 +1,188 @@
+import _ from 'lodash';
+import loadTenant, { getPages } from './tenant';
+import normalizeContext from './normalize';
+import diffFields from './diff';
+import { findConnection, resolveEnabledClients } from './connections';
+import { isExcluded } from './exclusions';
+import { REDACTED, isSensitiveField, redactObject } from './redact';
+
+const ValidationError = require('auth0-extension-tools').ValidationError;
+
+/* The order in which resource types are listed, with the heading to print for them */
+export const RESOURCE_TYPES = {
+  rule: 'Rules',
+  client: 'Clients',
+  clientGrant: 'Client grants',
+  resourceServer: 'Resource servers',
+  connection: 'Connections',
+  page: 'Pages',
+  emailTemplate: 'Email templates',
+  emailProvider: 'Email provider',
+  tenant: 'Tenant settings'
+};
+
+/* Fields the Management API never returns, so they would always show up as changed */
+const WRITE_ONLY_FIELDS = {
+  client: [ 'client_secret' ],
+  emailProvider: [ 'credentials' ]
+};
+
+const compare = (type, name, existing, desired) => {
+  const wanted = _.omit(desired, WRITE_ONLY_FIELDS[type] || []);
+  if (!existing) {
+    return { type: type, name: name, action: 'create', changes: diffFields({}, wanted) };
+  }
+
+  const changes = diffFields(existing, wanted);
+  return { type: type, name: name, action: changes.length > 0 ? 'update' : 'unchanged', changes: changes };
+};
+
+const planRules = (desired, tenant, excluded) => {
+  const items = _.map(desired.rules, (rule, name) => {
+    if (isExcluded(name, excluded)) {
+      return { type: 'rule', name: name, action: 'skip', changes: [] };
+    }
+
+    return compare('rule', name, _.find(tenant.rules, { name: name }), _.omit(rule, [ 'name' ]));
+  });
+
+  tenant.rules
+    .filter(rule => !desired.rules[rule.name] && !isExcluded(rule.name, excluded))
+    .forEach(rule => items.push({ type: 'rule', name: rule.name, action: 'delete', changes: [] }));
+
+  return items;
+};
+
+const findClient = (tenant, name) => _.find(tenant.clients, client => client.name === name && !client.global);
+
+const planClients = (desired, tenant) => _.map(desired.clients,
+  (client, name) => compare('client', name, findClient(tenant, name), client));
+
+const planClientGrants = (desired, tenant) => _.map(desired.clientGrants, (grant, name) => {
+  const client = findClient(tenant, grant.client);
+  const existing = client && _.find(tenant.clientGrants, { client_id: client.client_id, audience: grant.audience });
+  return compare('clientGrant', name, existing, { scope: grant.scope });
+});
+
+const planResourceServers = (desired, tenant) => _.map(desired.resourceServers,
+  (resourceServer, name) => compare('resourceServer', name, _.find(tenant.resourceServers, { name: name }), resourceServer));
+
+const planDatabases = (desired, tenant) => _.map(desired.databases, (connection, name) => {
+  const existing = _.find(tenant.connections, { name: name });
+  if (!existing) {
+    throw new ValidationError('The following database does not exist in the Auth0 tenant: ' + name);
+  }
+
+  /* The deploy replaces all the custom scripts, so scripts that are not in the repository are removed */
+  const existingScripts = (existing.options && existing.options.customScripts) || {};
+  const wanted = _.cloneDeep(connection);
+  Object.keys(existingScripts)
+    .filter(scriptName => !(scriptName in wanted.options.customScripts))
+    .forEach((scriptName) => {
+      wanted.options.customScripts[scriptName] = undefined;
+    });
+
+  return compare('connection', name, existing, wanted);
+});
+
+const planConnections = (desired, tenant) => _.map(desired.connections, (connection, name) => {
+  const wanted = resolveEnabledClients(connection, tenant.clients);
+  return compare('connection', name, findConnection(name, wanted, tenant.connections), _.omit(wanted, [ 'name' ]));
+});
+
+const planPages = (desired, tenant) => {
+  const existingPages = _.keyBy(getPages(tenant), 'name');
+  return _.map(desired.pages, (page, name) => {
+    const existing = existingPages[name];
+    const current = existing ? _.assign({ html: existing.html }, existing.metadata) : {};
+    return compare('page', name, current, page);
+  });
+};
+
+const planEmailTemplates = (desired, tenant) => _.map(desired.emailTemplates,
+  (template, name) => compare('emailTemplate', name, _.find(tenant.emailTemplates, { template: name }), template));
+
+const planEmailProviders = (desired, tenant) => _.map(desired.emailProviders,
+  (provider, name) => compare('emailProvider', name, tenant.emailProvider, provider));
+
+const planTenantSettings = (desired, tenant) => (desired.tenant ?
+  [ compare('tenant', 'settings', tenant.settings, desired.tenant) ] : []);
+
+/*
+ * Work out what the deploy would do with the desired state, given what is in the tenant right now.
+ */
+export const buildPlan = (desired, tenant, options) => {
+  const excludedRules = (options && options.excludedRules) || [];
+  return [].concat(
+    planRules(desired, tenant, excludedRules),
+    planClients(desired, tenant),
+    planClientGrants(desired, tenant),
+    planResourceServers(desired, tenant),
+    planDatabases(desired, tenant),
+    planConnections(desired, tenant),
+    planPages(desired, tenant),
+    planEmailTemplates(desired, tenant),
+    planEmailProviders(desired, tenant),
+    planTenantSettings(desired, tenant)
+  );
+};
+
+export const formatValue = (value) => {
+  if (value === undefined) return '(not set)';
+  if (typeof value === 'string' && (value.length > 60 || value.indexOf('\n') >= 0)) {
+    return '<' + value.split('\n').length + ' lines>';
+  }
+
+  return JSON.stringify(value);
+};
+
+/*
+ * The value of a changed field the way it is printed.  The plan is posted on pull requests, so the value of a secret
+ * field, or of a secret nested in an object, is masked.
+ */
+export const formatFieldValue = (field, value) => {
+  if (value !== undefined && field.split('.').some(isSensitiveField)) return JSON.stringify(REDACTED);
+  return formatValue(redactObject(value));
+};
+
+const ACTION_SYMBOLS = {
+  create: '+',
+  update: '~',
+  delete: '-',
+  skip: '!'
+};
+
+/*
+ * Render a plan as text, only listing what would change.
+ */
+export const formatPlan = (plan) => {
+  const lines = [];
+
+  Object.keys(RESOURCE_TYPES).forEach((type) => {
+    const items = plan.filter(item => item.type === type && item.action !== 'unchanged');
+    if (items.length === 0) return;
+
+    lines.push(RESOURCE_TYPES[type] + ':');
+    items.forEach((item) => {
+      lines.push('  ' + ACTION_SYMBOLS[item.action] + ' ' + item.action + ' ' + item.name);
+      item.changes.forEach((change) => {
+        lines.push('      ' + change.field + ': ' + formatFieldValue(change.field, change.from) + ' => ' +
+          formatFieldValue(change.field, change.to));
+      });
+    });
+    lines.push('');
+  });
+
+  const counts = _.countBy(plan, 'action');
+  lines.push('Plan: ' + (counts.create || 0) + ' to create, ' + (counts.update || 0) + ' to update, ' +
+    (counts.delete || 0) + ' to delete, ' + (counts.unchanged || 0) + ' unchanged, ' + (counts.skip || 0) + ' skipped.');
+  return lines.join('\n') + '\n';
+};
+
+/*
+ * Load the tenant and work out what deploying the context to it would do.
+ */
+export default function createPlan(context, client, options) {
+  return loadTenant(client)
+    .then(tenant => buildPlan(normalizeContext(context), tenant, options));
+}
@@ -0,0 +1,131 @@
+import Promise from 'bluebird';
+import * as fs from 'fs';
+import * as path from 'path';
+import _ from 'lodash';
+import mkdirp from 'mkdirp';
+import Liquid from 'liquidjs';
+import logger from './logger';
+
+/* The metadata Auth0 needs to send an email */
+const REQUIRED_METADATA = [ 'from', 'resultUrl', 'syntax' ];
+
+/* liquidjs asks every value whether it converts itself */
+const LIQUID_HOOKS = [ 'to_liquid', 'toLiquid' ];
+
+/*
+ * Wrap the sample data so every variable the template reads that isn't in it is remembered by its path.  A variable
+ * of the template itself, like the one of an assign or a for loop, is looked up in its own scope first, so only
+ * what falls through to the sample data is checked.
+ */
+const recordUnknown = (data, unknown) => {
+  const wrap = (value, prefix) => {
+    if (!_.isObject(value)) return value;
+
+    const field = key => (prefix ? prefix + '.' + key : key);
+    return new Proxy(value, {
+      get: (target, key) => {
+        if (typeof key !== 'string' || LIQUID_HOOKS.indexOf(key) >= 0) return target[key];
+        if (!(key in target)) unknown.push(field(key));
+        return wrap(target[key], field(key));
+      },
+      has: (target, key) => {
+        if (!prefix && typeof key === 'string' && !(key in target)) unknown.push(key);
+        return key in target;
+      }
+    });
+  };
+
+  return wrap(data, '');
+};
+
+/*
+ * Render a Liquid template with the sample data.  Resolves with the output and the variables that are not in the
+ * sample data, or with the syntax error and its line.
+ */
+export const renderTemplate = (engine, template, data) => {
+  const unknown = [];
+  return Promise.try(() => engine.parseAndRender(template || '', recordUnknown(_.cloneDeep(data), unknown)))
+    .then(output => ({ output: output, unknown: _.uniq(unknown), error: null }))
+    .catch(err => ({
+      output: null,
+      unknown: [],
+      error: { line: err.line, message: (err.message || String(err)).replace(/, line:\d+$/, '') }
+    }));
+};
+
+/*
+ * The metadata fields that are missing, and a syntax other than the Liquid Auth0 supports.
+ */
+export const checkTemplateMetadata = (template) => {
+  const problems = REQUIRED_METADATA.filter(field => !template[field]).map(field => 'metadata: ' + field + ' is not set');
+  if (template.syntax && template.syntax !== 'liquid') {
+    problems.push('metadata: syntax must be liquid, not ' + template.syntax);
+  }
+
+  return problems;
+};
+
+const describeProblems = (part, rendered) => {
+  if (rendered.error) {
+    return [ part + (rendered.error.line ? ' line ' + rendered.error.line : '') + ': ' + rendered.error.message ];
+  }
+
+  return rendered.unknown.map(variable => part + ': unknown variable ' + variable);
+};
+
+/*
+ * Render the subject and body of every email template with the sample data.  The fixtures hold the data all
+ * templates share, and the variables of a single template under templates.<name>.
+ */
+export const previewEmails = (templates, fixtures) => {
+  const engine = Liquid({ strict_filters: true });
+  const shared = _.omit(fixtures, [ 'templates' ]);
+
+  return Promise.mapSeries(_.sortBy(_.values(templates), 'template'), (template) => {
+    const data = _.merge({}, shared, fixtures.templates && fixtures.templates[template.template]);
+
+    return Promise.all([ renderTemplate(engine, template.subject, data), renderTemplate(engine, template.body, data) ])
+      .then(([ subject, body ]) => ({
+        name: template.template,
+        subject: subject.output,
+        html: template.body ? body.output : null,
+        problems: checkTemplateMetadata(template).concat(
+          template.body ? [] : [ 'body: there is no html file' ],
+          describeProblems('subject', subject),
+          describeProblems('body', body))
+      }));
+  });
+};
+
+/*
+ * Write the rendered html of every template that could be rendered, as <name>.html.
+ */
+export const writePreviews = (previews, outputFolder) => {
+  mkdirp.sync(outputFolder);
+  previews.filter(preview => preview.html !== null).forEach((preview) => {
+    const fileName = path.join(outputFolder, preview.name + '.html');
+    logger.debug('Writing ' + fileName);
+    fs.writeFileSync(fileName, preview.html);
+    preview.fileName = fileName;
+  });
+
+  return previews;
+};
+
+/*
+ * Render the previews as text, with the problems under every template.
+ */
+export const formatPreviews = (previews) => {
+  if (previews.length === 0) return 'There are no email templates.\n';
+
+  const lines = [];
+  previews.forEach((preview) => {
+    lines.push(preview.name + ': ' + (preview.subject !== null ? JSON.stringify(preview.subject) : '(the subject could not be rendered)') +
+      (preview.fileName ? ' => ' + preview.fileName : ''));
+    preview.problems.forEach(problem => lines.push('    ' + problem));
+  });
+
+  const failed = previews.filter(preview => preview.problems.length > 0).length;
+  lines.push('Emails: ' + previews.length + ' template(s), ' + failed + ' with problems.');
+  return lines.join('\n') + '\n';
+};
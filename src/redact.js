@@ -0,0 +1,146 @@
+import _ from 'lodash';
+
+/*
+ * The fields that never show up in the logs, wherever they are nested: names with secret as a word in them, and
+ * names that end in the word password, pass, passwd, key, token or credentials, like SMTP_PASSWORD, smtp_pass, api_key,
+ * apiKey and refresh_token.  A word starts after a _, - or . or at a capital, so names like monkey, signing_keys,
+ * passwordPolicy or token_endpoint_auth_method are still logged.
+ */
+const WORD_START = '(?:[\\w.-]*[_.-])?';
+const CAMEL_WORD_START = '[\\w.-]*[a-z0-9]';
+
+const words = list => ({
+  any: '(?:' + list.map(word => word + '|' + word.toUpperCase() + '|' + _.upperFirst(word)).join('|') + ')',
+  capitalized: '(?:' + list.map(_.upperFirst).join('|') + ')'
+});
+
+const SECRET = words([ 'secret', 'secrets' ]);
+const LAST_WORD = words([ 'password', 'passwd', 'pass', 'key', 'token', 'credential', 'credentials' ]);
+
+const SENSITIVE_NAME = [
+  WORD_START + SECRET.any + '(?:[_.-][\\w.-]*|[A-Z][\\w.-]*)?',
+  CAMEL_WORD_START + SECRET.capitalized + '(?:[_.-][\\w.-]*|[A-Z][\\w.-]*)?',
+  WORD_START + LAST_WORD.any,
+  CAMEL_WORD_START + LAST_WORD.capitalized
+].join('|');
+
+export const REDACTED = '[REDACTED]';
+
+/* Shorter values would redact unrelated text */
+const MIN_SECRET_LENGTH = 4;
+
+const FIELD_PATTERN = '(\\\\*)"(' + SENSITIVE_NAME + ')\\1"\\s*:\\s*';
+
+export const isSensitiveField = name => new RegExp('^(?:' + SENSITIVE_NAME + ')$').test(name);
+
+let secrets = [];
+
+/*
+ * Remember a value that has to be redacted wherever it shows up, also when it is escaped in a JSON string, or in a
+ * JSON string in a JSON string like the files of a stringified context.
+ */
+export const addSecret = (value) => {
+  if (_.isObject(value)) {
+    _.forEach(value, addSecret);
+    return;
+  }
+
+  if (typeof value !== 'string' || value.length < MIN_SECRET_LENGTH) return;
+
+  const escaped = JSON.stringify(value).slice(1, -1);
+  secrets = _.uniq(secrets.concat([ value, escaped, JSON.stringify(escaped).slice(1, -1) ]))
+    .sort((a, b) => b.length - a.length);
+};
+
+/*
+ * Remember the values of the sensitive fields of an object, like the keyword mappings, so they are also redacted
+ * where they were replaced into the files.
+ */
+export const addSensitiveValues = (value) => {
+  _.forEach(value, (item, key) => {
+    if (isSensitiveField(key)) {
+      addSecret(item);
+    } else if (_.isObject(item)) {
+      addSensitiveValues(item);
+    }
+  });
+};
+
+export const clearSecrets = () => {
+  secrets = [];
+};
+
+const countBackslashesBefore = (text, index) => {
+  let count = 0;
+  while (index - count > 0 && text[index - count - 1] === '\\') count += 1;
+  return count;
+};
+
+/*
+ * Find where the value of a field ends.  A JSON string in a JSON string has its quotes escaped like the quotes of
+ * its field name, and every escaping doubles the backslashes that were already there.  So the closing quote has
+ * as many backslashes in front of it as the field name, plus the escaped backslashes at the end of the value.
+ */
+const isClosingQuote = (text, index, escape) => {
+  const count = countBackslashesBefore(text, index);
+  return count >= escape.length && (count - escape.length) % (2 * (escape.length + 1)) === 0;
+};
+
+const findValueEnd = (text, start, escape) => {
+  if (text.startsWith(escape + '"', start)) {
+    let index = text.indexOf('"', start + escape.length + 1);
+    while (index >= 0 && !isClosingQuote(text, index, escape)) {
+      index = text.indexOf('"', index + 1);
+    }
+    return index < 0 ? text.length : index + 1;
+  }
+
+  if (text[start] === '{' || text[start] === '[') {
+    let depth = 0;
+    for (let index = start; index < text.length; index += 1) {
+      if (text[index] === '{' || text[index] === '[') depth += 1;
+      if (text[index] === '}' || text[index] === ']') depth -= 1;
+      if (depth === 0) return index + 1;
+    }
+    return text.length;
+  }
+
+  return start + /^[^,}\]\s]*/.exec(text.slice(start))[0].length;
+};
+
+const redactFields = (text) => {
+  const pattern = new RegExp(FIELD_PATTERN, 'g');
+  let result = '';
+  let last = 0;
+
+  for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+    const escape = match[1];
+    const start = match.index + match[0].length;
+    const end = findValueEnd(text, start, escape);
+
+    result += text.slice(last, start) + escape + '"' + REDACTED + escape + '"';
+    last = end;
+    pattern.lastIndex = end;
+  }
+
+  return result + text.slice(last);
+};
+
+export const redactText = (text) => {
+  if (typeof text !== 'string') return text;
+  return secrets.reduce((redacted, secret) => redacted.split(secret).join(REDACTED), redactFields(text));
+};
+
+/*
+ * Redact the metadata of a log line, errors are turned into their message and stack.
+ */
+export const redactObject = (value) => {
+  if (value instanceof Error) return redactObject({ message: value.message, stack: value.stack });
+  if (Array.isArray(value)) return value.map(redactObject);
+  if (_.isPlainObject(value)) {
+    return _.mapValues(value, (item, key) =>
+      (isSensitiveField(key) ? REDACTED : redactObject(item)));
+  }
+
+  return redactText(value);
+};
@@ -0,0 +1,88 @@
+import * as fs from 'fs';
+import _ from 'lodash';
+
+/* The exit codes, so a pipeline can tell what went wrong */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  INTERNAL_ERROR: 1,
+  USAGE_ERROR: 2,
+  VALIDATION_ERROR: 3,
+  AUTHENTICATION_ERROR: 4,
+  DEPLOY_ERROR: 5,
+  LOCKED: 6,
+  DRIFT: 7,
+  TESTS_FAILED: 8
+};
+
+/* The plan describes what will happen, the report what happened */
+const ACTIONS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted',
+  unchanged: 'unchanged',
+  skip: 'skipped'
+};
+
+/*
+ * Remember where an error happened, unless an earlier step already did.
+ */
+export const markPhase = phase => (err) => {
+  if (err && !err.phase) {
+    err.phase = phase;
+  }
+
+  throw err;
+};
+
+/*
+ * An error of the Management API during the deploy is a failed deploy, also when it is a ValidationError, unless the
+ * client wasn't allowed to make the change.
+ */
+export const getExitCode = (err) => {
+  if (err.statusCode === 401 || err.statusCode === 403 || err.phase === 'authentication') return EXIT_CODES.AUTHENTICATION_ERROR;
+  if (err.phase === 'deploy') return EXIT_CODES.DEPLOY_ERROR;
+  if (err.name === 'ValidationError' || err.phase === 'validation') return EXIT_CODES.VALIDATION_ERROR;
+  if (err.phase === 'lock') return EXIT_CODES.LOCKED;
+  if (err.phase === 'drift') return EXIT_CODES.DRIFT;
+  if (err.phase === 'test') return EXIT_CODES.TESTS_FAILED;
+  return EXIT_CODES.INTERNAL_ERROR;
+};
+
+/*
+ * Summarize a deploy.  The resources are the planned changes, so when the deploy failed or was a dry run they list
+ * what it was going to do, as not applied.
+ */
+export const createReport = (options) => {
+  const finishedAt = options.finishedAt || new Date();
+  const applied = !options.error && !options.dryRun;
+  return {
+    status: options.error ? 'failed' : 'succeeded',
+    dryRun: !!options.dryRun,
+    environment: options.environment || null,
+    deployId: options.deployId || null,
+    tenant: options.tenant,
+    startedAt: options.startedAt.toISOString(),
+    finishedAt: finishedAt.toISOString(),
+    duration: finishedAt.getTime() - options.startedAt.getTime(),
+    progress: options.progress ? _.pick(options.progress, [ 'id', 'user', 'sha', 'branch', 'repository' ]) : null,
+    summary: options.summary || null,
+    resources: _.map(options.plan, item => ({
+      type: item.type,
+      name: item.name,
+      action: applied ? ACTIONS[item.action] : item.action,
+      applied: applied
+    })),
+    error: options.error ? { message: options.error.message, exitCode: getExitCode(options.error) } : null
+  };
+};
+
+/*
+ * A deploy to several environments stops at the first one that fails, so only the environments that were tried
+ * are listed.
+ */
+export const combineReports = reports => ({
+  status: _.some(reports, { status: 'failed' }) ? 'failed' : 'succeeded',
+  environments: reports
+});
+
+export const writeReport = (fileName, report) => fs.writeFileSync(fileName, JSON.stringify(report, null, 2) + '\n');
@@ -0,0 +1,107 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import { isExcluded } from './exclusions';
+import logger from './logger';
+
+/*
+ * The metadata of a rule loaded by the context, broken metadata is left to the validation to report.
+ */
+export const getRuleMetadata = (rule) => {
+  if (!rule.metadata || !rule.metadataFile) return {};
+
+  try {
+    return typeof rule.metadataFile === 'object' ? rule.metadataFile : JSON.parse(rule.metadataFile);
+  } catch (e) {
+    return {};
+  }
+};
+
+/*
+ * Rules marked as manual in their metadata are left alone by the deploy, just like the excluded rules.
+ */
+export const splitManualRules = (rules) => {
+  const manual = _.pickBy(rules, rule => getRuleMetadata(rule).manual === true);
+  return {
+    rules: _.omit(rules, Object.keys(manual)),
+    manualRules: Object.keys(manual)
+  };
+};
+
+const getStageOrder = (name, rule) => {
+  const metadata = getRuleMetadata(rule);
+  return { name: name, stage: metadata.stage || constants.DEFAULT_RULE_STAGE, order: metadata.order };
+};
+
+/*
+ * Find the problems the deploy would run into halfway through: metadata without a script, and rules that want
+ * the same order in a stage.
+ */
+export const checkRules = (rules) => {
+  const problems = [];
+
+  const metadataOnly = Object.keys(rules).filter(name => rules[name].metadata && !rules[name].script);
+  if (metadataOnly.length > 0) {
+    problems.push('The following rules have metadata files, but have no script files: ' + metadataOnly.join(', ') +
+      '. Add the script, or mark the rule as manual.');
+  }
+
+  const duplicates = _(rules)
+    .map((rule, name) => getStageOrder(name, rule))
+    .filter(rule => rule.order !== undefined)
+    .groupBy(rule => rule.stage + ' order ' + rule.order)
+    .pickBy(group => group.length > 1)
+    .map((group, key) => key + ' (' + _.map(group, 'name').join(', ') + ')')
+    .value();
+  if (duplicates.length > 0) {
+    problems.push('There are multiple rules with the same order: ' + duplicates.join(', ') + '.');
+  }
+
+  return problems;
+};
+
+/*
+ * The deploy leaves the manual and excluded rules where they are, so a rule of the repository can't take the order
+ * one of them has in the tenant.  Find these before anything is deployed, the API would only reject the update.
+ */
+export const findOrderConflicts = (rules, existingRules, excluded) => {
+  const wanted = _.map(rules, (rule, name) => getStageOrder(name, rule))
+    .filter(rule => rule.order !== undefined);
+
+  return _.flatMap(existingRules.filter(existing => isExcluded(existing.name, excluded)), existing => wanted
+    .filter(rule => rule.name !== existing.name && rule.stage === existing.stage && rule.order === existing.order)
+    .map(rule => 'The rule ' + rule.name + ' wants the order ' + rule.order + ' in ' + rule.stage + ', but the manual or ' +
+      'excluded rule ' + existing.name + ' has it in the tenant.'));
+};
+
+/*
+ * The deploy updates the rules in parallel and an order can only be used by one rule in a stage, so a rule can't
+ * take the order of another rule that still has to move.  Move the existing rules out of the way first, to orders
+ * above anything that is in use, so the deploy can put every rule in its place.
+ */
+export default function prepareRuleOrder(client, rules, excluded) {
+  const wanted = _.map(rules, (rule, name) => getStageOrder(name, rule))
+    .filter(rule => rule.order !== undefined);
+  if (wanted.length === 0) return Promise.resolve([]);
+
+  return Promise.resolve(client.rules.getAll())
+    .then((existingRules) => {
+      const blocking = existingRules.filter(existing => rules[existing.name] && !isExcluded(existing.name, excluded) &&
+        _.some(wanted, rule => rule.name !== existing.name && rule.stage === existing.stage && rule.order === existing.order));
+
+      let nextOrder = _.max(_.map(existingRules, 'order').concat(_.map(wanted, 'order'))) + 1;
+      return Promise.mapSeries(blocking, (existing) => {
+        const order = nextOrder;
+        nextOrder += 1;
+
+        logger.info('Moving rule ' + existing.name + ' from order ' + existing.order + ' to ' + order + ' to make room for the new order',
+          { type: 'rule', name: existing.name, action: 'update' });
+        if (getStageOrder(existing.name, rules[existing.name]).order === undefined) {
+          logger.warn('The rule ' + existing.name + ' has no order in its metadata, it will keep the order ' + order);
+        }
+
+        return Promise.resolve(client.rules.update({ id: existing.id }, { order: order }))
+          .then(() => existing.name);
+      });
+    });
+}
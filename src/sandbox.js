@@ -0,0 +1,86 @@
+import Promise from 'bluebird';
+import vm from 'vm';
+
+/* Auth0 stops a script that hasn't called back after 20 seconds */
+export const SCRIPT_TIMEOUT = 20000;
+
+/*
+ * The error a rule returns to deny the login, Auth0 makes it available to every rule.
+ */
+export class UnauthorizedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnauthorizedError';
+  }
+}
+
+/*
+ * The errors Auth0 makes available to the database scripts, for a login that failed and for a user that can't be
+ * created.
+ */
+export class WrongUsernameOrPasswordError extends Error {
+  constructor(email, message) {
+    super(message);
+    this.name = 'WrongUsernameOrPasswordError';
+    this.email = email;
+  }
+}
+
+class ScriptValidationError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = code;
+  }
+}
+
+export const DATABASE_ERRORS = {
+  WrongUsernameOrPasswordError: WrongUsernameOrPasswordError,
+  ValidationError: ScriptValidationError
+};
+
+/*
+ * A context to run scripts in, with the globals Auth0 provides and the ones that are passed in.
+ */
+export const createSandbox = globals => vm.createContext(Object.assign({
+  console: console,
+  require: require,
+  Buffer: Buffer,
+  setTimeout: setTimeout,
+  clearTimeout: clearTimeout,
+  setInterval: setInterval,
+  clearInterval: clearInterval,
+  setImmediate: setImmediate,
+  UnauthorizedError: UnauthorizedError
+}, globals));
+
+/*
+ * Turn the source of a script into the function it is.  Scripts are anonymous functions, so they are evaluated as
+ * an expression.
+ */
+export const compileScript = (source, fileName, sandbox) => vm.runInContext('(' + source + '\n)', sandbox, {
+  filename: fileName
+});
+
+/*
+ * Call a script the way Auth0 does, with a callback as the last argument.  Resolves with the arguments of the
+ * callback, a script that throws resolves with the error and one that never calls back with a timeout error.
+ */
+export const callScript = (fn, args, timeout) => new Promise((resolve) => {
+  let finished = false;
+  const finish = (result) => {
+    if (finished) return;
+    finished = true;
+    clearTimeout(timer); // eslint-disable-line no-use-before-define
+    resolve(result);
+  };
+
+  const limit = timeout || SCRIPT_TIMEOUT;
+  const timer = setTimeout(() => finish([ new Error('The script did not call the callback within ' + (limit / 1000) + 's') ]), limit);
+
+  try {
+    fn(...args, (...result) => finish(result));
+  } catch (e) {
+    finish([ e ]);
+  }
+});
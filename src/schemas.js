@@ -0,0 +1,198 @@
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import { emailTemplateNames } from './tenant';
+
+/*
+ * JSON schemas for the files in a repository.  They only describe what the Management API would reject, so
+ * any attribute that isn't listed is still allowed.  Attributes set to false are generated by Auth0 and can't
+ * be sent.
+ */
+
+const stringArray = { type: 'array', items: { type: 'string' } };
+
+export const client = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    app_type: { enum: [ 'native', 'spa', 'regular_web', 'non_interactive', 'rms', 'box', 'cloudbees', 'concur', 'dropbox', 'mscrm', 'echosign', 'egnyte', 'newrelic', 'office365', 'salesforce', 'sentry', 'sharepoint', 'slack', 'springcm', 'zendesk', 'zoom' ] },
+    logo_uri: { type: 'string' },
+    is_first_party: { type: 'boolean' },
+    oidc_conformant: { type: 'boolean' },
+    sso: { type: 'boolean' },
+    sso_disabled: { type: 'boolean' },
+    cross_origin_auth: { type: 'boolean' },
+    callbacks: stringArray,
+    allowed_origins: stringArray,
+    web_origins: stringArray,
+    allowed_clients: stringArray,
+    allowed_logout_urls: stringArray,
+    grant_types: stringArray,
+    token_endpoint_auth_method: { enum: [ 'none', 'client_secret_post', 'client_secret_basic' ] },
+    jwt_configuration: {
+      type: 'object',
+      properties: {
+        lifetime_in_seconds: { type: 'integer', minimum: 0 },
+        secret_encoded: { type: 'boolean' },
+        alg: { enum: [ 'HS256', 'RS256' ] },
+        scopes: { type: 'object' }
+      }
+    },
+    client_metadata: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    client_id: false,
+    tenant: false,
+    global: false,
+    callback_url_template: false,
+    signing_keys: false,
+    owners: false,
+    config_route: false
+  }
+};
+
+export const clientMetadata = {
+  type: 'object',
+  properties: {
+    grants: {
+      type: 'object',
+      additionalProperties: stringArray
+    }
+  },
+  additionalProperties: false
+};
+
+export const resourceServer = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    identifier: { type: 'string', minLength: 1 },
+    scopes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          value: { type: 'string', minLength: 1 },
+          description: { type: 'string' }
+        },
+        required: [ 'value' ]
+      }
+    },
+    signing_alg: { enum: [ 'HS256', 'RS256' ] },
+    signing_secret: { type: 'string', minLength: 16 },
+    allow_offline_access: { type: 'boolean' },
+    skip_consent_for_verifiable_first_party_clients: { type: 'boolean' },
+    token_lifetime: { type: 'integer', minimum: 0 },
+    token_lifetime_for_web: { type: 'integer', minimum: 0 },
+    id: false,
+    is_system: false
+  }
+};
+
+export const ruleMetadata = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    order: { type: 'integer', minimum: 0 },
+    stage: { enum: constants.RULES_STAGES },
+    manual: { type: 'boolean' }
+  },
+  additionalProperties: false
+};
+
+export const connectionConfiguration = {
+  type: 'object',
+  properties: {
+    options: { type: 'object' },
+    enabled_clients: stringArray,
+    realms: stringArray,
+    id: false,
+    name: false,
+    strategy: false
+  }
+};
+
+export const connection = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    strategy: { type: 'string', minLength: 1 },
+    display_name: { type: 'string' },
+    options: { type: 'object' },
+    enabled_clients: stringArray,
+    realms: stringArray,
+    is_domain_connection: { type: 'boolean' },
+    metadata: {
+      type: 'object',
+      additionalProperties: { type: 'string' }
+    },
+    id: false
+  },
+  required: [ 'strategy' ]
+};
+
+export const emailTemplate = {
+  type: 'object',
+  properties: {
+    template: { enum: emailTemplateNames() },
+    from: { type: 'string', minLength: 1 },
+    subject: { type: 'string' },
+    syntax: { enum: [ 'liquid' ] },
+    resultUrl: { type: 'string' },
+    urlLifetimeInSeconds: { type: 'integer', minimum: 0 },
+    enabled: { type: 'boolean' }
+  }
+};
+
+export const emailProvider = {
+  type: 'object',
+  properties: {
+    name: { enum: [ 'mandrill', 'sendgrid', 'sparkpost', 'ses', 'smtp', 'mailgun' ] },
+    enabled: { type: 'boolean' },
+    default_from_address: { type: 'string' },
+    credentials: { type: 'object' },
+    settings: { type: 'object' }
+  },
+  required: [ 'name' ]
+};
+
+const page = {
+  type: 'object',
+  properties: {
+    enabled: { type: 'boolean' },
+    html: { type: 'string' }
+  }
+};
+
+export const tenantSettings = {
+  type: 'object',
+  properties: {
+    friendly_name: { type: 'string' },
+    picture_url: { type: 'string' },
+    support_email: { type: 'string' },
+    support_url: { type: 'string' },
+    allowed_logout_urls: stringArray,
+    session_lifetime: { type: 'number', minimum: 1 },
+    idle_session_lifetime: { type: 'number', minimum: 1 },
+    sandbox_version: { type: 'string' },
+    default_audience: { type: 'string' },
+    default_directory: { type: 'string' },
+    default_redirection_uri: { type: 'string' },
+    enabled_locales: stringArray,
+    flags: {
+      type: 'object',
+      additionalProperties: { type: 'boolean' }
+    },
+    error_page: {
+      type: 'object',
+      properties: {
+        html: { type: 'string' },
+        show_log_link: { type: 'boolean' },
+        url: { type: 'string' }
+      }
+    },
+    change_password: page,
+    guardian_mfa_page: page,
+    sandbox_versions_available: false
+  }
+};
@@ -0,0 +1,149 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import _ from 'lodash';
+import { parse } from 'acorn';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+
+/* The arguments Auth0 calls each kind of script with */
+export const SCRIPT_SIGNATURES = {
+  rule: [ 'user', 'context', 'callback' ],
+  login: [ 'email', 'password', 'callback' ],
+  create: [ 'user', 'callback' ],
+  verify: [ 'email', 'callback' ],
+  change_password: [ 'email', 'newPassword', 'callback' ],
+  get_user: [ 'email', 'callback' ],
+  delete: [ 'id', 'callback' ],
+  change_email: [ 'email', 'newEmail', 'verified', 'callback' ]
+};
+
+/* Scripts run on a recent Node, so any syntax the parser knows is accepted */
+const PARSER_OPTIONS = { ecmaVersion: 'latest', locations: true };
+
+/* An anonymous function is parsed as the value of an assignment, which can be followed by a semicolon */
+const EXPRESSION_PREFIX = 'script = ';
+
+const isFunction = node => node && (node.type === 'FunctionExpression' || node.type === 'ArrowFunctionExpression');
+
+/*
+ * The function a script consists of.  A script is usually an anonymous function, which is only valid JavaScript as
+ * an expression, so it is parsed as one too.  A semicolon after the function is fine.
+ */
+const getFunction = (program) => {
+  const statements = program.body.filter(statement => statement.type !== 'EmptyStatement');
+  if (statements.length !== 1) return null;
+
+  const statement = statements[0];
+  if (statement.type === 'FunctionDeclaration') return statement;
+  if (statement.type !== 'ExpressionStatement') return null;
+
+  const expression = statement.expression.type === 'AssignmentExpression' ? statement.expression.right : statement.expression;
+  return isFunction(expression) ? expression : null;
+};
+
+/*
+ * Parse the script as it is, or as an expression.  The error is reported at its position in the script, without the
+ * assignment in front of it, and an error at the end means the script ended too early.
+ */
+const tryParse = (source, asExpression) => {
+  const offset = asExpression ? EXPRESSION_PREFIX.length : 0;
+  try {
+    return { program: parse(asExpression ? EXPRESSION_PREFIX + source : source, PARSER_OPTIONS) };
+  } catch (e) {
+    if (!e.loc) throw e;
+
+    if (e.pos - offset >= source.length) {
+      const lines = source.split('\n');
+      return {
+        error: { line: lines.length, column: _.last(lines).length + 1, position: source.length, message: 'Unexpected end of the script' }
+      };
+    }
+
+    return {
+      error: {
+        line: e.loc.line,
+        column: e.loc.line === 1 ? (e.loc.column - offset) + 1 : e.loc.column + 1,
+        position: e.pos - offset,
+        message: e.message.replace(/ \(\d+:\d+\)$/, '')
+      }
+    };
+  }
+};
+
+const formatParams = params => '(' + params.map((param) => {
+  if (param.type === 'Identifier') return param.name;
+  if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') return param.left.name;
+  if (param.type === 'RestElement' && param.argument.type === 'Identifier') return '...' + param.argument.name;
+  return '{...}';
+}).join(', ') + ')';
+
+/*
+ * Parse a script and check that it is a single function that takes the arguments Auth0 calls it with.  Returns the
+ * problem with its line and column, or null.
+ */
+export const checkScript = (source, kind) => {
+  const asProgram = tryParse(source, false);
+  const asExpression = asProgram.program ? asProgram : tryParse(source, true);
+
+  if (!asExpression.program) {
+    /* The parse that got the furthest has the error that is closest to the mistake */
+    return asProgram.error.position >= asExpression.error.position ? asProgram.error : asExpression.error;
+  }
+
+  const fn = getFunction(asExpression.program);
+  if (!fn) {
+    return { line: 1, column: 1, message: 'The script must be a single function' };
+  }
+
+  const expected = SCRIPT_SIGNATURES[kind];
+  if (expected && fn.params.length !== expected.length) {
+    return {
+      line: fn.loc.start.line,
+      column: fn.loc.start.line === 1 && !asProgram.program ? (fn.loc.start.column - EXPRESSION_PREFIX.length) + 1 :
+        fn.loc.start.column + 1,
+      message: 'The ' + kind + ' script must be a function (' + expected.join(', ') + '), but it is a function ' +
+        formatParams(fn.params)
+    };
+  }
+
+  return null;
+};
+
+/*
+ * Where a script was read from.  In a directory every script has its own file, in a single file the line and column
+ * are within the script.
+ */
+const getScriptFile = (input, directory, name) => {
+  const fileName = path.resolve(input);
+  if (fs.existsSync(fileName) && !fs.statSync(fileName).isDirectory()) {
+    return path.relative(process.cwd(), fileName) + ' (' + directory + '/' + name + ')';
+  }
+
+  return path.relative(process.cwd(), path.join(fileName, directory, name + '.js'));
+};
+
+/*
+ * Check the rules and database scripts of a context, so a script with a typo never reaches the tenant.
+ */
+export const findScriptProblems = (input, rules, databases) => {
+  const scripts = _.map(_.pickBy(rules, rule => rule.script && typeof rule.scriptFile === 'string'), (rule, name) => ({
+    file: getScriptFile(input, constants.RULES_DIRECTORY, name),
+    kind: 'rule',
+    source: rule.scriptFile
+  }));
+
+  _.forEach(databases, (database) => {
+    _.forEach(database.scripts, (script) => {
+      if (typeof script.scriptFile !== 'string') return;
+      scripts.push({
+        file: getScriptFile(input, path.join(constants.DATABASE_CONNECTIONS_DIRECTORY, database.name), script.name),
+        kind: script.name,
+        source: script.scriptFile
+      });
+    });
+  });
+
+  return scripts
+    .map(script => _.assign({ file: script.file }, checkScript(script.source, script.kind)))
+    .filter(problem => problem.message)
+    .map(problem => problem.file + ':' + problem.line + ':' + problem.column + ': ' + problem.message);
+};
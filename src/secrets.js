@@ -0,0 +1,115 @@
+import * as fs from 'fs';
+import * as crypto from 'crypto';
+import _ from 'lodash';
+import { addSecret } from './redact';
+
+/* A value like "env:SMTP_PASS", "file:/run/secrets/smtp" or "secret:smtp" is a reference to a secret */
+const REFERENCE = /^(env|file|secret):(.+)$/;
+
+const ALGORITHM = 'aes-256-gcm';
+const ITERATIONS = 100000;
+
+export const isSecretReference = value => typeof value === 'string' && REFERENCE.test(value);
+
+const deriveKey = (password, salt) => crypto.pbkdf2Sync(password, salt, ITERATIONS, 32, 'sha256');
+
+/*
+ * The secrets file is a JSON object of names and values, encrypted with a key derived from a password, so it can be
+ * kept next to the config file.
+ */
+export const encryptSecrets = (secrets, password) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, deriveKey(password, salt), iv);
+  const data = Buffer.concat([ cipher.update(JSON.stringify(secrets), 'utf8'), cipher.final() ]);
+
+  return {
+    algorithm: ALGORITHM,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+};
+
+export const decryptSecrets = (encrypted, password) => {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, deriveKey(password, Buffer.from(encrypted.salt, 'base64')),
+      Buffer.from(encrypted.iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+    return JSON.parse(Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, 'base64')),
+      decipher.final()
+    ]).toString('utf8'));
+  } catch (e) {
+    throw new Error('the secrets file could not be decrypted, check AUTH0_SECRETS_KEY');
+  }
+};
+
+/*
+ * Create a function that reads a setting and replaces the secret references in it, also the ones nested in objects
+ * like the keyword mappings.  The setting is read with getSetting, which is also used for AUTH0_SECRETS_FILE and
+ * AUTH0_SECRETS_KEY.  The resolved secrets are redacted from the logs.  Without a list of errors a reference that
+ * can't be resolved throws, with a list it is added to the list and left as it is.
+ */
+export const createSecretResolver = (getSetting) => {
+  let secrets = null;
+
+  const loadSecrets = () => {
+    if (!secrets) {
+      const fileName = getSetting('AUTH0_SECRETS_FILE');
+      if (!fileName) throw new Error('AUTH0_SECRETS_FILE is not set');
+
+      const password = getSetting('AUTH0_SECRETS_KEY');
+      if (!password) throw new Error('AUTH0_SECRETS_KEY is not set');
+
+      secrets = decryptSecrets(JSON.parse(fs.readFileSync(fileName, 'utf8')), password);
+    }
+
+    return secrets;
+  };
+
+  const resolveReference = (type, name) => {
+    if (type === 'env') {
+      if (process.env[name] === undefined) throw new Error('the environment variable ' + name + ' is not set');
+      return process.env[name];
+    }
+
+    if (type === 'file') {
+      return fs.readFileSync(name, 'utf8').replace(/\r?\n$/, '');
+    }
+
+    const all = loadSecrets();
+    if (!_.has(all, name)) throw new Error('the secrets file has no ' + name);
+    return all[name];
+  };
+
+  const resolve = (value, path, errors) => {
+    if (Array.isArray(value)) return value.map((item, index) => resolve(item, path + '[' + index + ']', errors));
+    if (_.isPlainObject(value)) return _.mapValues(value, (item, key) => resolve(item, path + '.' + key, errors));
+    if (!isSecretReference(value)) return value;
+
+    const reference = REFERENCE.exec(value);
+    try {
+      const secret = resolveReference(reference[1], reference[2]);
+      addSecret(secret);
+      return secret;
+    } catch (e) {
+      const error = 'Couldn\'t resolve ' + value + ' for ' + path + ' because: ' + e.message;
+      if (!errors) throw new Error(error);
+      errors.push(error);
+      return value;
+    }
+  };
+
+  return (key, errors) => resolve(getSetting(key), key, errors);
+};
+
+/*
+ * Resolve the settings up front, so every reference that fails is reported before anything is deployed.
+ */
+export const findSecretErrors = (resolveSetting, keys) => {
+  const errors = [];
+  _.uniq(keys).forEach(key => resolveSetting(key, errors));
+  return errors;
+};
@@ -0,0 +1,263 @@
+import Promise from 'bluebird';
+import _ from 'lodash';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import loadTenant, {
+  omitSecrets,
+  CLIENT_READ_ONLY_FIELDS,
+  CONNECTION_READ_ONLY_FIELDS,
+  RESOURCE_SERVER_READ_ONLY_FIELDS,
+  TENANT_SETTINGS_PAGE_FIELDS,
+  TENANT_SETTINGS_READ_ONLY_FIELDS
+} from './tenant';
+import { isSensitiveField } from './redact';
+import logger from './logger';
+
+/* Older snapshots are dropped, the state file should not keep growing */
+export const MAX_SNAPSHOTS = 10;
+
+/* The pages live in the tenant settings, except for the login page which is part of the global client */
+const PAGE_SETTINGS = {
+  [constants.PAGE_PASSWORD_RESET]: 'change_password',
+  [constants.PAGE_GUARDIAN_MULTIFACTOR]: 'guardian_mfa_page',
+  [constants.PAGE_ERROR]: 'error_page'
+};
+const LOGIN_PAGE_FIELDS = [ 'custom_login_page', 'custom_login_page_on' ];
+
+/* Fields the Management API returns that can't be sent back in an update */
+const READ_ONLY_FIELDS = {
+  rule: [ 'id', 'stage' ],
+  client: CLIENT_READ_ONLY_FIELDS,
+  clientGrant: [ 'id', 'client_id', 'audience' ],
+  resourceServer: RESOURCE_SERVER_READ_ONLY_FIELDS.concat([ 'identifier' ]),
+  connection: CONNECTION_READ_ONLY_FIELDS.concat([ 'name', 'strategy', 'provisioning_ticket_url' ]),
+  emailTemplate: [ 'template' ],
+  emailProvider: [ 'credentials' ],
+  tenant: TENANT_SETTINGS_READ_ONLY_FIELDS.concat(TENANT_SETTINGS_PAGE_FIELDS)
+};
+
+/* The snapshot leaves out what restore can't send back, except the stage a deleted rule is recreated in */
+const KEPT_FIELDS = {
+  rule: [ 'stage' ]
+};
+
+/*
+ * The secrets of a connection are left out of the snapshot too, a restore keeps the ones the connection has now.
+ * The configuration of a database holds its secrets, whatever their names.
+ */
+const isSecretOption = (value, key) => key === 'configuration' || isSensitiveField(key);
+
+/*
+ * What the state file keeps of a resource, without the fields that are read-only or secret.
+ */
+const stripResource = (type, existing) => {
+  if (!existing || type === 'page') return existing;
+
+  const stripped = _.omit(omitSecrets(existing), _.difference(READ_ONLY_FIELDS[type], KEPT_FIELDS[type] || []));
+  if (type === 'connection' && stripped.options) {
+    stripped.options = _.omitBy(stripped.options, isSecretOption);
+  }
+
+  return stripped;
+};
+
+const findClient = (tenant, name) => _.find(tenant.clients, client => client.name === name && !client.global);
+
+const findClientGrant = (tenant, lookup) => {
+  const client = findClient(tenant, lookup.client);
+  return client && _.find(tenant.clientGrants, { client_id: client.client_id, audience: lookup.audience });
+};
+
+/*
+ * How to find a resource of each type in the tenant, by its name or by the lookup a client grant needs.
+ */
+const FINDERS = {
+  rule: (tenant, lookup) => _.find(tenant.rules, { name: lookup.name }),
+  client: (tenant, lookup) => findClient(tenant, lookup.name),
+  clientGrant: findClientGrant,
+  resourceServer: (tenant, lookup) => _.find(tenant.resourceServers, { name: lookup.name }),
+  connection: (tenant, lookup) => _.find(tenant.connections, { name: lookup.name }),
+  page: (tenant, lookup) => (PAGE_SETTINGS[lookup.name] ?
+    _.pick(tenant.settings, PAGE_SETTINGS[lookup.name]) :
+    _.pick(_.find(tenant.clients, { global: true }), LOGIN_PAGE_FIELDS)),
+  emailTemplate: (tenant, lookup) => _.find(tenant.emailTemplates, { template: lookup.name }),
+  emailProvider: tenant => tenant.emailProvider,
+  tenant: tenant => tenant.settings
+};
+
+const getLookup = (item, desired) => {
+  if (item.type === 'clientGrant') {
+    const grant = desired.clientGrants[item.name];
+    return { name: item.name, client: grant.client, audience: grant.audience };
+  }
+
+  return { name: item.name };
+};
+
+/*
+ * Keep the current version of everything the plan is about to change.  What the deploy creates only needs to be
+ * found again to remove it.
+ */
+export const takeSnapshot = (deployId, plan, desired, tenant) => ({
+  deployId: deployId,
+  createdAt: new Date().toISOString(),
+  resources: plan
+    .filter(item => [ 'create', 'update', 'delete' ].indexOf(item.action) >= 0)
+    .map((item) => {
+      const lookup = getLookup(item, desired);
+      const resource = { type: item.type, action: item.action, lookup: lookup };
+      if (item.action !== 'create' || item.type === 'page') {
+        resource.existing = stripResource(item.type, FINDERS[item.type](tenant, lookup)) || null;
+      }
+
+      return resource;
+    })
+});
+
+export const saveSnapshot = (storage, snapshot) => storage.readSnapshots()
+  .then(snapshots => storage.writeSnapshots(_.takeRight(snapshots.concat([ snapshot ]), MAX_SNAPSHOTS)))
+  .then(() => {
+    logger.info('Saved a snapshot of ' + snapshot.resources.length + ' resource(s) for deploy ' + snapshot.deployId);
+  });
+
+/*
+ * The snapshot of a deploy, or the latest one.
+ */
+export const findSnapshot = (snapshots, deployId) => {
+  if (!deployId) return _.last(snapshots);
+  return _.find(snapshots, { deployId: deployId });
+};
+
+const RESTORE_MESSAGES = {
+  create: 'Recreating',
+  update: 'Restoring',
+  delete: 'Removing'
+};
+
+const logRestore = (resource, action) => {
+  logger.info(RESTORE_MESSAGES[action] + ' ' + resource.type + ' ' + resource.lookup.name,
+    { type: resource.type, name: resource.lookup.name, action: action });
+};
+
+/*
+ * Remove what the deploy created.  Email templates can't be removed, so they are disabled.
+ */
+const removeCreated = (client, tenant, resource) => {
+  const current = FINDERS[resource.type](tenant, resource.lookup);
+  if (!current) {
+    logger.info('The ' + resource.type + ' ' + resource.lookup.name + ' no longer exists');
+    return Promise.resolve();
+  }
+
+  logRestore(resource, 'delete');
+  switch (resource.type) {
+    case 'rule':
+      return client.rules.delete({ id: current.id });
+    case 'client':
+      return client.clients.delete({ client_id: current.client_id });
+    case 'clientGrant':
+      return client.clientGrants.delete({ id: current.id });
+    case 'resourceServer':
+      return client.resourceServers.delete({ id: current.id });
+    case 'connection':
+      return client.connections.delete({ id: current.id });
+    case 'emailProvider':
+      return client.emailProvider.delete();
+    case 'emailTemplate':
+      logger.warn('Email templates can\'t be deleted, disabling ' + resource.lookup.name + ' instead');
+      return client.emailTemplates.update({ name: resource.lookup.name }, { enabled: false });
+    default:
+      return Promise.resolve();
+  }
+};
+
+const restorePage = (client, tenant, resource) => {
+  const existing = _.omitBy(resource.existing, _.isUndefined);
+  if (_.isEmpty(existing)) {
+    logger.warn('The page ' + resource.lookup.name + ' was not set before the deploy, it is left as it is');
+    return Promise.resolve();
+  }
+
+  logRestore(resource, 'update');
+  if (!PAGE_SETTINGS[resource.lookup.name]) {
+    return client.clients.update({ client_id: _.find(tenant.clients, { global: true }).client_id }, existing);
+  }
+
+  return client.tenant.updateSettings(existing);
+};
+
+/*
+ * Put back the version from the snapshot, recreating what the deploy deleted.
+ */
+const restoreExisting = (client, tenant, resource) => {
+  if (resource.type === 'page') return restorePage(client, tenant, resource);
+
+  const data = _.omit(resource.existing, READ_ONLY_FIELDS[resource.type]);
+  const current = FINDERS[resource.type](tenant, resource.lookup);
+  if (!current) {
+    if (resource.type === 'rule') {
+      logRestore(resource, 'create');
+      return client.rules.create(_.assign({ stage: resource.existing.stage }, data));
+    }
+
+    logger.warn('The ' + resource.type + ' ' + resource.lookup.name + ' no longer exists and can\'t be recreated');
+    return Promise.resolve();
+  }
+
+  logRestore(resource, 'update');
+  switch (resource.type) {
+    case 'rule':
+      return client.rules.update({ id: current.id }, data);
+    case 'client':
+      return client.clients.update({ client_id: current.client_id }, data);
+    case 'clientGrant':
+      return client.clientGrants.update({ id: current.id }, { scope: data.scope });
+    case 'resourceServer':
+      return client.resourceServers.update({ id: current.id }, data);
+    case 'connection':
+      return client.connections.update({ id: current.id }, data.options ?
+        _.assign({}, data, { options: _.assign(_.pickBy(current.options, isSecretOption), data.options) }) : data);
+    case 'emailTemplate':
+      return client.emailTemplates.update({ name: resource.lookup.name }, data);
+    case 'emailProvider':
+      return client.emailProvider.update({}, data);
+    case 'tenant':
+      return client.tenant.updateSettings(data);
+    default:
+      return Promise.resolve();
+  }
+};
+
+/*
+ * The order of a rule can only be used once in a stage, so the rules that get their old order back are moved out
+ * of the way first, like before a deploy.
+ */
+const moveRestoredRules = (client, tenant, resources) => {
+  const rules = resources
+    .filter(resource => resource.type === 'rule' && resource.existing)
+    .map(resource => FINDERS.rule(tenant, resource.lookup))
+    .filter(rule => rule);
+
+  let nextOrder = _.max(_.map(tenant.rules, 'order').concat(_.map(resources, 'existing.order'))) + 1;
+  return Promise.mapSeries(rules, (rule) => {
+    const order = nextOrder;
+    nextOrder += 1;
+    return client.rules.update({ id: rule.id }, { order: order });
+  });
+};
+
+/*
+ * Undo a deploy: remove what it created, then put back what it changed or deleted.
+ */
+export default function rollback(client, snapshot) {
+  logger.info('Rolling back deploy ' + snapshot.deployId + ' from ' + snapshot.createdAt);
+
+  const created = snapshot.resources.filter(resource => resource.action === 'create' && resource.type !== 'page');
+  const changed = snapshot.resources.filter(resource => resource.action !== 'create' || resource.type === 'page');
+
+  return loadTenant(client)
+    .then(tenant => Promise.mapSeries(created, resource => removeCreated(client, tenant, resource))
+      .then(() => moveRestoredRules(client, tenant, changed)))
+    .then(() => loadTenant(client))
+    .then(tenant => Promise.mapSeries(changed, resource => restoreExisting(client, tenant, resource)))
+    .then(() => logger.info('Rolled back deploy ' + snapshot.deployId));
+}
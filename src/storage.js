@@ -1,19 +1,192 @@
-import LocalStorage from 'node-storage';
+import * as fs from 'fs';
+import * as path from 'path';
+import mkdirp from 'mkdirp';
+import acquireLock, { getLockFileName, removeLock } from './lock';
+import { getStateFileName } from './environments';
 
-export default class {
+/*
+ * A storage keeps the state of a tenant between runs.  Every storage, including the ones loaded with
+ * --storage_module, has these methods, which all return a promise:
+ *
+ *   read()                    the state of the deploy, like the excluded rules and the deployments
+ *   write(data)               replace the state of the deploy
+ *   readSnapshots()           the snapshots of the latest deploys, for a rollback
+ *   writeSnapshots(snapshots) replace the snapshots
+ *   readHistory()             the deploys that were run against the tenant, oldest first
+ *   writeHistory(history)     replace the history
+ *   lock(owner, timeout)      get the lock of the tenant, waiting up to timeout seconds, resolves with a function
+ *                             that releases it
+ *   unlock()                  remove the lock whoever holds it
+ */
+
+/*
+ * All state in a single JSON file, the lock is a file next to it.  The file has a key per kind of state, the same
+ * layout node-storage used, so the state files of earlier versions can still be read.
+ */
+export class FileStorage {
   constructor(fileName) {
-    this.local = new LocalStorage(fileName);
+    this.fileName = fileName;
+    mkdirp.sync(path.dirname(fileName));
+  }
+
+  readFile() {
+    return fs.existsSync(this.fileName) ? JSON.parse(fs.readFileSync(this.fileName, 'utf8')) : {};
+  }
+
+  readKey(key, defaultValue) {
+    return new Promise((resolve) => {
+      resolve(this.readFile()[key] || defaultValue);
+    });
+  }
+
+  /*
+   * Written synchronously, so the state is on disk once the promise resolves, even if the process exits right after.
+   * The temporary file keeps a run that is killed halfway from leaving half a file.
+   */
+  writeKey(key, value) {
+    return new Promise((resolve) => {
+      const data = this.readFile();
+      data[key] = value;
+      fs.writeFileSync(this.fileName + '.tmp', JSON.stringify(data));
+      fs.renameSync(this.fileName + '.tmp', this.fileName);
+      resolve();
+    });
   }
 
   read() {
-    var me = this;
-    return new Promise(function(resolve) {
-      var data = me.local.get('context') || {};
-      resolve(data);
+    return this.readKey('context', {});
+  }
+
+  write(value) {
+    return this.writeKey('context', value);
+  }
+
+  readSnapshots() {
+    return this.readKey('snapshots', []);
+  }
+
+  writeSnapshots(snapshots) {
+    return this.writeKey('snapshots', snapshots);
+  }
+
+  readHistory() {
+    return this.readKey('history', []);
+  }
+
+  writeHistory(history) {
+    return this.writeKey('history', history);
+  }
+
+  lock(owner, timeout) {
+    return acquireLock(getLockFileName(this.fileName), owner, timeout);
+  }
+
+  unlock() {
+    return Promise.resolve(removeLock(getLockFileName(this.fileName)));
+  }
+}
+
+/*
+ * A JSON file per kind of state in a directory, e.g. a volume that is kept between CI runs.
+ */
+export class DirectoryStorage {
+  constructor(directory) {
+    this.directory = directory;
+    mkdirp.sync(directory);
+  }
+
+  readFile(name, defaultValue) {
+    const fileName = path.join(this.directory, name + '.json');
+    return new Promise((resolve) => {
+      resolve(fs.existsSync(fileName) ? JSON.parse(fs.readFileSync(fileName, 'utf8')) : defaultValue);
+    });
+  }
+
+  /* Write to a temporary file first, so a run that is killed halfway never leaves half a file */
+  writeFile(name, value) {
+    const fileName = path.join(this.directory, name + '.json');
+    return new Promise((resolve) => {
+      fs.writeFileSync(fileName + '.tmp', JSON.stringify(value, null, 2));
+      fs.renameSync(fileName + '.tmp', fileName);
+      resolve();
     });
   }
 
+  read() {
+    return this.readFile('state', {});
+  }
+
   write(value) {
-    this.local.put('context', value);
+    return this.writeFile('state', value);
+  }
+
+  readSnapshots() {
+    return this.readFile('snapshots', []);
+  }
+
+  writeSnapshots(snapshots) {
+    return this.writeFile('snapshots', snapshots);
+  }
+
+  readHistory() {
+    return this.readFile('history', []);
+  }
+
+  writeHistory(history) {
+    return this.writeFile('history', history);
+  }
+
+  lock(owner, timeout) {
+    return acquireLock(path.join(this.directory, 'lock'), owner, timeout);
+  }
+
+  unlock() {
+    return Promise.resolve(removeLock(path.join(this.directory, 'lock')));
   }
 }
+
+const STORAGE_METHODS = [ 'read', 'write', 'readSnapshots', 'writeSnapshots', 'readHistory', 'writeHistory', 'lock',
+  'unlock' ];
+
+/*
+ * A storage module exports a function that gets the options of the run and returns a storage.
+ */
+const loadStorageModule = (moduleName, options) => {
+  const modulePath = /^[./]/.test(moduleName) ? path.resolve(moduleName) : moduleName;
+
+  /* eslint-disable global-require, import/no-dynamic-require */
+  const loaded = require(modulePath);
+  /* eslint-enable global-require, import/no-dynamic-require */
+
+  const factory = loaded.default || loaded;
+  if (typeof factory !== 'function') {
+    throw new Error('The storage module ' + moduleName + ' must export a function that creates the storage');
+  }
+
+  const storage = factory(options);
+  const missing = STORAGE_METHODS.filter(method => !storage || typeof storage[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error('The storage of ' + moduleName + ' is missing: ' + missing.join(', '));
+  }
+
+  return storage;
+};
+
+/*
+ * Create the storage for a tenant.  Every environment gets its own state, so the file or directory gets the name of
+ * the environment and a storage module gets it in its options.
+ */
+export default function createStorage(options) {
+  if (options.storageModule) {
+    return loadStorageModule(options.storageModule, {
+      environment: options.environment,
+      config: options.config
+    });
+  }
+
+  if (options.stateDir) {
+    return new DirectoryStorage(options.environment ? path.join(options.stateDir, options.environment) : options.stateDir);
+  }
+
+  return new FileStorage(getStateFileName(options.stateFile || './local/state', options.environment));
+}
@@ -0,0 +1,112 @@
+import Promise from 'bluebird';
+import * as path from 'path';
+import _ from 'lodash';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import logger from './logger';
+import { isSensitiveField } from './redact';
+
+/*
+ * The tenant settings can be kept in tenant.json at the root of a repository, or in tenant/settings.json.  These
+ * are the names without the extension, relative to the repository.
+ */
+export const TENANT_SETTINGS_FILES = [ 'tenant', path.join('tenant', 'settings') ];
+
+/* Settings the Management API returns that can't be sent back in a PATCH */
+export const TENANT_SETTINGS_READ_ONLY_FIELDS = [ 'sandbox_versions_available' ];
+
+/* Settings that are managed through the pages instead */
+export const TENANT_SETTINGS_PAGE_FIELDS = [ 'change_password', 'guardian_mfa_page', 'error_page' ];
+
+/* Attributes the Management API returns that can't be sent back on create or update, the secrets are left out too */
+export const CLIENT_READ_ONLY_FIELDS = [ 'client_id', 'tenant', 'global', 'callback_url_template', 'signing_keys', 'owners', 'config_route' ];
+export const RESOURCE_SERVER_READ_ONLY_FIELDS = [ 'id', 'is_system' ];
+export const CONNECTION_READ_ONLY_FIELDS = [ 'id' ];
+
+/*
+ * Leave out the secrets of a resource, like client_secret and signing_secret.  These are the fields the logs redact.
+ */
+export const omitSecrets = item => _.omitBy(item, (value, key) => isSensitiveField(key));
+
+/*
+ * Only a template named by the constants can be read, so derive the list from the file names.
+ */
+export const emailTemplateNames = () => _.uniq(constants.EMAIL_TEMPLATE_FILENAMES.map(fileName => path.parse(fileName).name));
+
+/*
+ * A missing email template or provider is reported as a 404, which just means it was never configured.
+ */
+const ignoreNotFound = promise => Promise.resolve(promise)
+  .catch((err) => {
+    if (err.statusCode === 404) {
+      return null;
+    }
+
+    return Promise.reject(err);
+  });
+
+/*
+ * Get the pages the way they are laid out in a repository, from the tenant settings and the global client.
+ */
+export const getPages = (tenant) => {
+  const settings = tenant.settings || {};
+  const globalClient = _.find(tenant.clients, { global: true }) || {};
+  const errorPage = settings.error_page || {};
+
+  return [
+    {
+      name: constants.PAGE_LOGIN,
+      html: globalClient.custom_login_page,
+      metadata: { enabled: !!globalClient.custom_login_page_on }
+    },
+    {
+      name: constants.PAGE_PASSWORD_RESET,
+      html: settings.change_password && settings.change_password.html,
+      metadata: { enabled: !!(settings.change_password && settings.change_password.enabled) }
+    },
+    {
+      name: constants.PAGE_GUARDIAN_MULTIFACTOR,
+      html: settings.guardian_mfa_page && settings.guardian_mfa_page.html,
+      metadata: { enabled: !!(settings.guardian_mfa_page && settings.guardian_mfa_page.enabled) }
+    },
+    {
+      /* The error page is either custom html, or a redirect to the url when disabled */
+      name: constants.PAGE_ERROR,
+      html: errorPage.html || (errorPage.url ? '' : undefined),
+      metadata: errorPage.url ? { enabled: false, url: errorPage.url } : { enabled: true }
+    }
+  ].filter(page => typeof page.html === 'string');
+};
+
+/*
+ * Read everything the deploy manages from the tenant.
+ */
+export default function loadTenant(client) {
+  logger.info('Reading the current configuration of the tenant');
+
+  return Promise.props({
+    rules: client.rules.getAll(),
+    clients: client.clients.getAll(),
+    clientGrants: client.clientGrants.getAll(),
+    resourceServers: client.resourceServers.getAll(),
+    connections: client.connections.getAll(),
+    settings: client.tenant.getSettings(),
+    emailTemplates: Promise.map(emailTemplateNames(),
+      name => ignoreNotFound(client.emailTemplates.get({ name: name })), { concurrency: 2 })
+      .then(templates => templates.filter(template => template)),
+    emailProvider: ignoreNotFound(client.emailProvider.get())
+  });
+}
+
+/*
+ * Send the tenant settings from the repository as a PATCH, so only the keys in the file are changed.
+ */
+export function updateTenantSettings(client, settings) {
+  if (!settings || Object.keys(settings).length === 0) {
+    logger.info('No tenant settings to update');
+    return Promise.resolve();
+  }
+
+  logger.info('Updating the tenant settings: ' + Object.keys(settings).join(', '),
+    { type: 'tenant', name: 'settings', action: 'update' });
+  return Promise.resolve(client.tenant.updateSettings(settings));
+}
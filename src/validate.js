@@ -0,0 +1,159 @@
+import Ajv from 'ajv';
+import jsonMap from 'json-source-map';
+import * as fs from 'fs';
+import * as path from 'path';
+import _ from 'lodash';
+import { constants } from '@factorten/auth0-source-control-extension-tools';
+import { keywordReplace } from './keywords';
+import * as schemas from './schemas';
+import { TENANT_SETTINGS_FILES } from './tenant';
+import { CONNECTIONS_DIRECTORY } from './connections';
+
+const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+
+const METADATA_EXTENSIONS = [ '.json', '.yaml', '.yml' ];
+
+/*
+ * The files to validate: where the context keeps them, which schema applies, and where they live in a
+ * repository directory.
+ */
+const FILES = [
+  { type: 'client', key: 'clients', attribute: 'configFile', schema: schemas.client, directory: constants.CLIENTS_DIRECTORY, namedAfterFile: true },
+  { type: 'client metadata', key: 'clients', attribute: 'metadataFile', schema: schemas.clientMetadata, directory: constants.CLIENTS_DIRECTORY, suffix: '.meta' },
+  { type: 'resource server', key: 'resourceServers', attribute: 'configFile', schema: schemas.resourceServer, directory: constants.RESOURCE_SERVERS_DIRECTORY, namedAfterFile: true },
+  { type: 'rule metadata', key: 'rules', attribute: 'metadataFile', schema: schemas.ruleMetadata, directory: constants.RULES_DIRECTORY },
+  { type: 'connection configuration', key: 'databases', attribute: 'configuration', schema: schemas.connectionConfiguration, directory: constants.DATABASE_CONNECTIONS_DIRECTORY, suffix: '/configuration' },
+  { type: 'connection', key: 'connections', attribute: 'configFile', schema: schemas.connection, directory: CONNECTIONS_DIRECTORY, namedAfterFile: true },
+  { type: 'email template metadata', key: 'emailTemplates', attribute: 'metadataFile', schema: schemas.emailTemplate, directory: constants.EMAIL_TEMPLATES_DIRECTORY },
+  { type: 'email provider', key: 'emailProviders', attribute: 'configFile', schema: schemas.emailProvider, directory: constants.EMAIL_PROVIDERS_DIRECTORY },
+  { type: 'tenant settings', key: 'tenant', attribute: 'configFile', schema: schemas.tenantSettings, baseNames: TENANT_SETTINGS_FILES }
+].map(file => _.assign({ validate: ajv.compile(file.schema) }, file));
+
+const escapePointer = key => String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/*
+ * Find the file an item was read from.  A directory holds one file per item, a single file input holds
+ * everything at a known pointer.
+ */
+const findSource = (context, file, name, index) => {
+  const input = path.resolve(context.fileName);
+  if (!fs.statSync(input).isDirectory()) {
+    return { fileName: input, prefix: '/' + file.key + '/' + escapePointer(index === undefined ? name : index) + '/' + file.attribute };
+  }
+
+  /* Some files are at a fixed place instead of being named after the item */
+  const baseNames = file.baseNames ? file.baseNames.map(baseName => path.join(input, baseName)) :
+    [ path.join(input, file.directory, name + (file.suffix || '')) ];
+  const candidates = _.flatMap(baseNames, baseName => METADATA_EXTENSIONS.map(ext => baseName + ext));
+  const fileName = _.find(candidates, candidate => fs.existsSync(candidate));
+  return { fileName: fileName || candidates[0], prefix: '' };
+};
+
+/*
+ * Line numbers can only be found for JSON files, the positions are looked up after the keyword mappings are
+ * replaced, just like the file was read.
+ */
+const createLineFinder = (mappings) => {
+  const pointers = {};
+
+  return (source, pointer) => {
+    if (!/\.json$/i.test(source.fileName)) return undefined;
+
+    if (!(source.fileName in pointers)) {
+      try {
+        pointers[source.fileName] = jsonMap.parse(keywordReplace(fs.readFileSync(source.fileName, 'utf8'), mappings)).pointers;
+      } catch (e) {
+        pointers[source.fileName] = {};
+      }
+    }
+
+    /* A missing attribute has no position, so walk up to the closest parent that does */
+    let current = source.prefix + pointer;
+    while (!pointers[source.fileName][current] && current.length > 0) {
+      current = current.substring(0, current.lastIndexOf('/'));
+    }
+
+    const position = pointers[source.fileName][current];
+    return position ? (position.key || position.value).line + 1 : undefined;
+  };
+};
+
+const describeError = (error) => {
+  switch (error.keyword) {
+    case 'false schema':
+      return { pointer: error.dataPath, message: 'is generated by Auth0 and can not be set' };
+    case 'additionalProperties':
+      return { pointer: error.dataPath + '/' + escapePointer(error.params.additionalProperty), message: 'is not allowed' };
+    case 'required':
+      return { pointer: error.dataPath + '/' + escapePointer(error.params.missingProperty), message: 'is required' };
+    default:
+      return { pointer: error.dataPath, message: error.message };
+  }
+};
+
+const validateItem = (context, file, item, name, index, findLine) => {
+  const contents = item[file.attribute];
+  if (contents === undefined || contents === null || contents === false) return [];
+
+  const source = findSource(context, file, name, index);
+  const error = (pointer, message, line) => ({
+    file: path.relative(process.cwd(), source.fileName),
+    pointer: pointer,
+    line: line || findLine(source, pointer),
+    message: message
+  });
+
+  let data = contents;
+  if (typeof contents === 'string') {
+    try {
+      /* Parsed with the source map, since its errors carry the position on every version of node */
+      data = jsonMap.parse(contents).data;
+    } catch (e) {
+      const position = /at position (\d+)/.exec(e.message);
+      const line = position && !source.prefix ? contents.substring(0, parseInt(position[1], 10)).split('\n').length : undefined;
+      return [ error('', 'is not valid JSON: ' + e.message, line) ];
+    }
+  }
+
+  const errors = [];
+  if (!file.validate(data)) {
+    file.validate.errors.forEach((validationError) => {
+      const described = describeError(validationError);
+      errors.push(error(described.pointer, described.message));
+    });
+  }
+
+  /* The deploy uses the file name as the name, a different name in the file would never match */
+  if (file.namedAfterFile && data && data.name !== undefined && data.name !== name) {
+    errors.push(error('/name', 'must match the file name "' + name + '"'));
+  }
+
+  return errors;
+};
+
+/*
+ * Check every file loaded by the context against its schema, without contacting the tenant.
+ */
+export default function validateContext(context, mappings) {
+  const findLine = createLineFinder(mappings);
+  const errors = [];
+
+  FILES.forEach((file) => {
+    const items = context[file.key] || {};
+    _.forEach(items, (item, key) => {
+      const isList = Array.isArray(items);
+      const name = isList ? item.name : key;
+      validateItem(context, file, item, name, isList ? key : undefined, findLine)
+        .forEach(error => errors.push(error));
+    });
+  });
+
+  return errors;
+}
+
+/*
+ * Render the errors one per line, as file:line pointer: message.
+ */
+export const formatErrors = errors => errors
+  .map(error => error.file + (error.line ? ':' + error.line : '') + ' ' + (error.pointer || '/') + ': ' + error.message)
+  .join('\n');
@@ -0,0 +1,128 @@
+import { compareContexts, formatComparison } from '../src/compare';
+import { diffAllFields } from '../src/diff';
+import normalizeContext from '../src/normalize';
+import { createContext } from './utils';
+
+const expect = require('chai').expect;
+
+/* Both versions are compared the way the diff command loads them */
+const loadVersion = data => normalizeContext(createContext(data));
+
+describe('#compare', () => {
+  it('should compare every field of both versions', () => {
+    expect(diffAllFields({ a: 1, b: 2 }, { a: 1 })).to.deep.equal([ { field: 'b', from: 2, to: undefined } ]);
+    expect(diffAllFields({ jwt: { lifetime: 10 } }, { jwt: { lifetime: 10, alg: 'RS256' } }))
+      .to.deep.equal([ { field: 'jwt.alg', from: undefined, to: 'RS256' } ]);
+  });
+
+  it('should ignore how the files are formatted', () => {
+    const before = loadVersion({
+      clients: { someClient: { name: 'someClient', configFile: '{"callbacks":["http://a"],"app_type":"spa"}' } }
+    });
+    const after = loadVersion({
+      clients: { someClient: { name: 'someClient', configFile: '{\n  "app_type": "spa",\n  "callbacks": [ "http://a" ]\n}\n' } }
+    });
+
+    expect(compareContexts(before, after)).to.deep.equal([]);
+  });
+
+  it('should list what was added, changed and removed', () => {
+    const before = loadVersion({
+      rules: {
+        oldRule: { name: 'oldRule', script: true, scriptFile: 'function a() {}', metadata: false },
+        someRule: { name: 'someRule', script: true, scriptFile: 'function b() {}', metadata: false }
+      },
+      clients: { someClient: { name: 'someClient', configFile: '{ "callbacks": [ "https://dev.fabrikam.com" ] }' } }
+    });
+    const after = loadVersion({
+      rules: {
+        someRule: { name: 'someRule', script: true, scriptFile: 'function b() {}', metadata: true, metadataFile: '{ "enabled": false }' },
+        newRule: { name: 'newRule', script: true, scriptFile: 'function c() {}', metadata: false }
+      },
+      clients: { someClient: { name: 'someClient', configFile: '{ "callbacks": [ "https://fabrikam.com" ] }' } }
+    });
+
+    expect(compareContexts(before, after)).to.deep.equal([
+      {
+        type: 'rule',
+        name: 'newRule',
+        action: 'added',
+        changes: [
+          { field: 'enabled', from: undefined, to: true },
+          { field: 'script', from: undefined, to: 'function c() {}' }
+        ]
+      },
+      { type: 'rule', name: 'oldRule', action: 'removed', changes: [] },
+      { type: 'rule', name: 'someRule', action: 'changed', changes: [ { field: 'enabled', from: true, to: false } ] },
+      {
+        type: 'client',
+        name: 'someClient',
+        action: 'changed',
+        changes: [ { field: 'callbacks', from: [ 'https://dev.fabrikam.com' ], to: [ 'https://fabrikam.com' ] } ]
+      }
+    ]);
+  });
+
+  it('should keep the order 0 of a rule', () => {
+    const before = loadVersion({
+      rules: { someRule: { name: 'someRule', script: true, scriptFile: 'function a() {}', metadata: false } }
+    });
+    const after = loadVersion({
+      rules: { someRule: { name: 'someRule', script: true, scriptFile: 'function a() {}', metadata: true, metadataFile: '{ "order": 0 }' } }
+    });
+
+    expect(after.rules.someRule.order).to.equal(0);
+    expect(compareContexts(before, after)).to.deep.equal([
+      { type: 'rule', name: 'someRule', action: 'changed', changes: [ { field: 'order', from: undefined, to: 0 } ] }
+    ]);
+  });
+
+  it('should compare the databases and tenant settings', () => {
+    const before = loadVersion({
+      databases: [ { name: 'db1', scripts: { login: { name: 'login', scriptFile: 'function login() {}' } } } ],
+      tenant: { settings: { name: 'settings', configFile: '{ "friendly_name": "Fabrikam" }' } }
+    });
+    const after = loadVersion({
+      databases: [ { name: 'db1', scripts: {} } ]
+    });
+
+    expect(compareContexts(before, after)).to.deep.equal([
+      {
+        type: 'connection',
+        name: 'db1',
+        action: 'changed',
+        changes: [ { field: 'options.customScripts.login', from: 'function login() {}', to: undefined } ]
+      },
+      { type: 'tenant', name: 'settings', action: 'removed', changes: [] }
+    ]);
+  });
+
+  it('should format the differences', () => {
+    expect(formatComparison([])).to.equal('No differences.\n');
+    expect(formatComparison([
+      { type: 'rule', name: 'oldRule', action: 'removed', changes: [] },
+      { type: 'client', name: 'someClient', action: 'changed', changes: [ { field: 'app_type', from: 'spa', to: 'native' } ] }
+    ])).to.equal([
+      'Rules:',
+      '  - removed oldRule',
+      '',
+      'Clients:',
+      '  ~ changed someClient',
+      '      app_type: "spa" => "native"',
+      '',
+      'Diff: 0 added, 1 changed, 1 removed.',
+      ''
+    ].join('\n'));
+  });
+
+  it('should mask the secrets in the differences', () => {
+    const text = formatComparison([
+      { type: 'client', name: 'someClient', action: 'changed', changes: [ { field: 'client_secret', from: 'old-s3cret', to: 'new-s3cret' } ] },
+      { type: 'connection', name: 'google', action: 'changed', changes: [ { field: 'options.client_secret', from: 'old-s3cret', to: 'new-s3cret' } ] }
+    ]);
+
+    expect(text).to.not.contain('s3cret');
+    expect(text).to.contain('client_secret: "[REDACTED]" => "[REDACTED]"');
+    expect(text).to.contain('options.client_secret: "[REDACTED]" => "[REDACTED]"');
+  });
+});
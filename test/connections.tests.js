@@ -0,0 +1,51 @@
+import updateConnections from '../src/connections';
+import { createClient } from './utils';
+
+const expect = require('chai').expect;
+
+describe('#connections', () => {
+  it('should create and update connections by name', (done) => {
+    const client = createClient({
+      clients: [ { client_id: 'abc', name: 'someClient' } ],
+      connections: [ { id: 'con_1', name: 'google-oauth2', strategy: 'google-oauth2' } ]
+    });
+
+    updateConnections(client, {
+      'google-oauth2': { name: 'google-oauth2', strategy: 'google-oauth2', options: { client_secret: 'secret' }, enabled_clients: [ 'someClient' ] },
+      email: { name: 'email', strategy: 'email', enabled_clients: [ 'xyz' ] }
+    })
+      .then(() => {
+        expect(client.calls).to.deep.equal([
+          { method: 'connections.update', params: { id: 'con_1' }, data: { options: { client_secret: 'secret' }, enabled_clients: [ 'abc' ] } },
+          { method: 'connections.create', data: { name: 'email', strategy: 'email', enabled_clients: [ 'xyz' ] } }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should not change the strategy of a connection', (done) => {
+    const client = createClient({
+      connections: [ { id: 'con_1', name: 'corporate', strategy: 'samlp' } ]
+    });
+
+    updateConnections(client, { corporate: { name: 'corporate', strategy: 'waad' } })
+      .then(() => done(new Error('Expected the strategy change to fail')))
+      .catch((err) => {
+        expect(err.message).to.equal('The connection corporate already exists with the strategy samlp, it can not be changed to waad');
+        expect(client.calls).to.deep.equal([]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should refuse database connections', (done) => {
+    updateConnections(createClient({}), { users: { name: 'users', strategy: 'auth0' } })
+      .then(() => done(new Error('Expected the database to fail')))
+      .catch((err) => {
+        expect(err.message).to.contain('is a database');
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -56,6 +56,7 @@ describe('#context', () => {
             expect(context.pages).to.deep.equal({});
             expect(context.clients).to.deep.equal({});
             expect(context.resourceServers).to.deep.equal({});
+            expect(context.tenant).to.deep.equal({});
           });
         });
     });
@@ -81,7 +82,7 @@ describe('#context', () => {
             scripts: {
               login: {
                 name: 'login',
-                scriptFile: 'function login() { }'
+                scriptFile: 'function login(email, password, callback) { }'
               }
             }
           }
@@ -102,6 +103,240 @@ describe('#context', () => {
         });
     });
 
+    it('should only load the input once', (done) => {
+      const dir = path.resolve(testDataDir, 'loadOnce');
+      const file = path.resolve(dir, 'tenant.json');
+      cleanThenMkdir(dir);
+      writeStringToFile(file, JSON.stringify({ clients: { someClient: { configFile: { callbacks: [ 'http://a' ] } } } }));
+
+      const context = new Context(file);
+      context.init()
+        .then(() => {
+          writeStringToFile(file, JSON.stringify({ clients: { otherClient: { configFile: {} } } }));
+          return context.init({ mappings: { SOME_KEY: 'value' } });
+        })
+        .then(() => {
+          check(done, function() {
+            expect(Object.keys(context.clients)).to.deep.equal([ 'someClient' ]);
+            expect(context.mappings).to.equal(undefined);
+          });
+        })
+        .catch(done);
+    });
+
+    it('should process as yaml file', (done) => {
+      const dir = path.resolve(testDataDir, 'asYamlFile');
+      const file = path.resolve(dir, 'tenant.yaml');
+      cleanThenMkdir(dir);
+      writeStringToFile(file, [
+        'databases:',
+        '  - name: db1',
+        '    scripts:',
+        '      login:',
+        '        name: login',
+        '        scriptFile: function login(email, password, callback) { }'
+      ].join('\n'));
+
+      const context = new Context(file);
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.databases).to.deep.equal([
+              {
+                name: 'db1',
+                scripts: {
+                  login: {
+                    name: 'login',
+                    scriptFile: 'function login(email, password, callback) { }'
+                  }
+                }
+              }
+            ]);
+          });
+        });
+    });
+
+    it('should normalize a file and apply the mappings', (done) => {
+      const dir = path.resolve(testDataDir, 'asFileMappings');
+      const file = path.resolve(dir, 'tenant.json');
+      cleanThenMkdir(dir);
+      writeStringToFile(file, JSON.stringify({
+        clients: {
+          someClient: {
+            configFile: { callbacks: [ '##url##/callback' ], jwt_configuration: { lifetime_in_seconds: '@@timeout@@' } }
+          }
+        },
+        rules: {
+          someRule: {
+            scriptFile: 'function someRule(user, context, callback) { var url = @@url@@; }'
+          }
+        },
+        databases: [
+          {
+            name: 'db1',
+            configuration: { options: { url: '##url##' } },
+            scripts: {
+              login: { scriptFile: 'function login(email, password, callback) { }' }
+            }
+          }
+        ]
+      }));
+
+      const context = new Context(file, { url: 'http://localhost', timeout: 3600 });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.clients).to.deep.equal({
+              someClient: {
+                name: 'someClient',
+                configFile: '{"callbacks":["http://localhost/callback"],"jwt_configuration":{"lifetime_in_seconds":3600}}'
+              }
+            });
+            expect(context.rules).to.deep.equal({
+              someRule: {
+                name: 'someRule',
+                script: true,
+                scriptFile: 'function someRule(user, context, callback) { var url = "http://localhost"; }',
+                metadata: false
+              }
+            });
+            expect(context.databases).to.deep.equal([
+              {
+                name: 'db1',
+                configuration: { options: { url: 'http://localhost' } },
+                scripts: {
+                  login: { name: 'login', scriptFile: 'function login(email, password, callback) { }' }
+                }
+              }
+            ]);
+          });
+        })
+        .catch(done);
+    });
+
+    it('should read scripts referenced from a file', (done) => {
+      const dir = path.resolve(testDataDir, 'asFileReferences');
+      const file = path.resolve(dir, 'tenant.json');
+      cleanThenMkdir(path.join(dir, 'rules'));
+      writeStringToFile(path.join(dir, 'rules', 'someRule.js'), 'function someRule(user, context, callback) { var hello = @@hello@@; }');
+      writeStringToFile(file, JSON.stringify({
+        rules: {
+          someRule: { script: './rules/someRule.js', metadataFile: { enabled: false } }
+        }
+      }));
+
+      const context = new Context(file, { hello: 'goodbye' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.rules).to.deep.equal({
+              someRule: {
+                name: 'someRule',
+                script: true,
+                scriptFile: 'function someRule(user, context, callback) { var hello = "goodbye"; }',
+                metadata: true,
+                metadataFile: '{"enabled":false}'
+              }
+            });
+          });
+        })
+        .catch(done);
+    });
+
+    it('should error on a missing referenced script', (done) => {
+      const dir = path.resolve(testDataDir, 'asFileMissingReference');
+      const file = path.resolve(dir, 'tenant.json');
+      cleanThenMkdir(dir);
+      writeStringToFile(file, JSON.stringify({ rules: { someRule: { script: './rules/missing.js' } } }));
+
+      const context = new Context(file);
+      context.init()
+        .then(() => done(new Error('Expected the missing script to fail')))
+        .catch((err) => {
+          check(done, function() {
+            expect(err.message).to.contain('Couldn\'t read ./rules/missing.js for someRule');
+          });
+        });
+    });
+
+    it('should error on placeholders without a mapping, listing each file', (done) => {
+      const repoDir = path.resolve(testDataDir, 'unresolvedPlaceholders');
+      cleanThenMkdir(path.join(repoDir, 'rules'));
+      cleanThenMkdir(path.join(repoDir, constants.CLIENTS_DIRECTORY));
+      writeStringToFile(path.join(repoDir, 'rules', 'someRule.js'), 'function someRule(user, context, callback) { var timeout = @@JWT_TIMEOUT@@; }');
+      writeStringToFile(path.join(repoDir, constants.CLIENTS_DIRECTORY, 'someClient.json'),
+        '{ "callbacks": [ "##TYPO##/callback", "##url##/callback" ] }');
+
+      const context = new Context(repoDir, { url: 'http://localhost' });
+      context.init()
+        .then(() => done(new Error('Expected the placeholders to fail')))
+        .catch((err) => {
+          check(done, function() {
+            expect(err.message).to.contain('Found placeholders without a keyword mapping or default');
+            expect(err.message).to.contain(path.join('unresolvedPlaceholders', 'rules', 'someRule.js') + ': @@JWT_TIMEOUT@@');
+            expect(err.message).to.contain(path.join('unresolvedPlaceholders', constants.CLIENTS_DIRECTORY, 'someClient.json') +
+              ': ##TYPO##');
+          });
+        });
+    });
+
+    it('should load a custom login page with the config placeholder of Auth0', (done) => {
+      const repoDir = path.resolve(testDataDir, 'loginPage');
+      const html = '<script>\n  var config = JSON.parse(decodeURIComponent(escape(window.atob(\'@@config@@\'))));\n</script>\n';
+      cleanThenMkdir(path.join(repoDir, constants.PAGES_DIRECTORY));
+      writeStringToFile(path.join(repoDir, constants.PAGES_DIRECTORY, 'login.html'), html);
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.pages.login.htmlFile).to.equal(html);
+          });
+        })
+        .catch(done);
+    });
+
+    it('should use defaults and nested mappings', (done) => {
+      const repoDir = path.resolve(testDataDir, 'placeholderDefaults');
+      cleanThenMkdir(path.join(repoDir, constants.CLIENTS_DIRECTORY));
+      writeStringToFile(path.join(repoDir, constants.CLIENTS_DIRECTORY, 'someClient.json'),
+        '{ "callbacks": [ "##urls.app##/callback" ], "jwt_configuration": { "lifetime_in_seconds": @@JWT_TIMEOUT:3600@@ } }');
+
+      const context = new Context(repoDir, { urls: { app: 'https://app.fabrikam.com' } });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(JSON.parse(context.clients.someClient.configFile)).to.deep.equal({
+              callbacks: [ 'https://app.fabrikam.com/callback' ],
+              jwt_configuration: { lifetime_in_seconds: 3600 }
+            });
+          });
+        })
+        .catch(done);
+    });
+
+    it('should error on scripts with syntax errors or the wrong arguments', (done) => {
+      const repoDir = path.resolve(testDataDir, 'badScripts');
+      cleanThenMkdir(path.join(repoDir, constants.RULES_DIRECTORY));
+      cleanThenMkdir(path.join(repoDir, constants.DATABASE_CONNECTIONS_DIRECTORY, 'users'));
+      writeStringToFile(path.join(repoDir, constants.RULES_DIRECTORY, 'someRule.js'),
+        'function (user, context, callback) {\n  if (user {\n  }\n}\n');
+      writeStringToFile(path.join(repoDir, constants.DATABASE_CONNECTIONS_DIRECTORY, 'users', 'login.js'),
+        'function login(email, callback) {\n  callback();\n}\n');
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => done(new Error('Expected the scripts to fail')))
+        .catch((err) => {
+          check(done, function() {
+            expect(err.message).to.contain('Found problems in the scripts');
+            expect(err.message).to.contain(path.join('badScripts', constants.RULES_DIRECTORY, 'someRule.js') + ':2:12: Unexpected token');
+            expect(err.message).to.contain(path.join('badScripts', constants.DATABASE_CONNECTIONS_DIRECTORY, 'users', 'login.js') +
+              ':1:1: The login script must be a function (email, password, callback)');
+          });
+        });
+    });
+
     it('should error on symlink', (done) => {
       const dir = path.resolve(testDataDir, 'badSymlink');
       const file = path.join(dir, 'badSymLink');
@@ -163,6 +398,31 @@ describe('#context', () => {
         });
     });
 
+    it('should read configuration.yml', (done) => {
+      const repoDir = path.join(testDataDir, 'connections5');
+      const dbDir = path.join(repoDir, constants.DATABASE_CONNECTIONS_DIRECTORY, 'db1');
+      cleanThenMkdir(dbDir);
+      writeStringToFile(path.join(dbDir, 'configuration.yml'), 'options:\n  passwordPolicy: ##policy##\n');
+
+      const context = new Context(repoDir, { policy: 'high' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.databases).to.deep.equal([
+              {
+                name: 'db1',
+                scripts: {},
+                configuration: {
+                  options: {
+                    passwordPolicy: 'high'
+                  }
+                }
+              }
+            ]);
+          });
+        });
+    });
+
     it('should process database connections', (done) => {
       const target = [
         {
@@ -170,23 +430,23 @@ describe('#context', () => {
           scripts: {
             login: {
               name: 'login',
-              scriptFile: 'function login() { var hello = @@hello@@; }'
+              scriptFile: 'function login(email, password, callback) { var hello = @@hello@@; }'
             },
             create: {
               name: 'create',
-              scriptFile: 'function create() { }'
+              scriptFile: 'function create(user, callback) { }'
             },
             delete: {
               name: 'delete',
-              scriptFile: 'function delete() { }'
+              scriptFile: 'function remove(id, callback) { }'
             },
             change_email: {
               name: 'change_email',
-              scriptFile: 'function change_email() { }'
+              scriptFile: 'function change_email(email, newEmail, verified, callback) { }'
             },
             get_user: {
               name: 'get_user',
-              scriptFile: 'function get_user() { }'
+              scriptFile: 'function get_user(email, callback) { }'
             }
           }
         },
@@ -195,11 +455,11 @@ describe('#context', () => {
           scripts: {
             login: {
               name: 'login',
-              scriptFile: 'function login2() { }'
+              scriptFile: 'function login2(email, password, callback) { }'
             },
             create: {
               name: 'create',
-              scriptFile: 'function create2() { }'
+              scriptFile: 'function create2(user, callback) { }'
             }
           }
         }
@@ -213,7 +473,7 @@ describe('#context', () => {
       context.init()
         .then(() => {
           check(done, function() {
-            target[0].scripts.login.scriptFile = 'function login() { var hello = "goodbye"; }';
+            target[0].scripts.login.scriptFile = 'function login(email, password, callback) { var hello = "goodbye"; }';
             expect(context.databases).to.deep.equal(target);
           });
         });
@@ -226,10 +486,10 @@ describe('#context', () => {
           scripts: {
             login: {
               name: 'login',
-              scriptFile: 'function login() { }'
+              scriptFile: 'function login(email, password, callback) { }'
             },
             createBad: {
-              scriptFile: 'function create() { }'
+              scriptFile: 'function create(user, callback) { }'
             }
           }
         }
@@ -258,7 +518,7 @@ describe('#context', () => {
           scripts: {
             login: {
               name: 'login',
-              scriptFile: 'function login() { }'
+              scriptFile: 'function login(email, password, callback) { }'
             }
           }
         }
@@ -352,6 +612,29 @@ describe('#context', () => {
         });
     });
 
+    it('should process yaml page metadata', (done) => {
+      const repoDir = path.join(testDataDir, 'pages4');
+      const dir = path.join(repoDir, constants.PAGES_DIRECTORY);
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'login.html'), '<html>this is login</html>');
+      writeStringToFile(path.join(dir, 'login.yaml'), 'enabled: true\n');
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.pages).to.deep.equal({
+              login: {
+                htmlFile: '<html>this is login</html>',
+                metadata: true,
+                metadataFile: '{"enabled":true}',
+                name: 'login'
+              }
+            });
+          });
+        });
+    });
+
     it('should ignore bad pagename', (done) => {
       const target = {
         login: {
@@ -446,6 +729,58 @@ describe('#context', () => {
         });
     });
 
+    it('should process yaml clients and resource servers', (done) => {
+      const target = {
+        clients: {
+          someClient: {
+            configFile: '{"someKey":"someVal","callbacks":["http://localhost/callback"]}',
+            metadataFile: '{"grants":{"https://api":["read:things"]}}',
+            name: 'someClient'
+          }
+        },
+        resourceServers: {
+          someApi: {
+            configFile: '{"identifier":"https://api"}',
+            name: 'someApi'
+          }
+        }
+      };
+
+      const repoDir = path.join(testDataDir, 'configurables4');
+      const clientsDir = path.join(repoDir, constants.CLIENTS_DIRECTORY);
+      const resourceServersDir = path.join(repoDir, constants.RESOURCE_SERVERS_DIRECTORY);
+      cleanThenMkdir(clientsDir);
+      cleanThenMkdir(resourceServersDir);
+      writeStringToFile(path.join(clientsDir, 'someClient.yaml'), 'someKey: @@somekey@@\ncallbacks:\n  - ##url##/callback\n');
+      writeStringToFile(path.join(clientsDir, 'someClient.meta.yml'), 'grants:\n  https://api:\n    - read:things\n');
+      writeStringToFile(path.join(resourceServersDir, 'someApi.yml'), 'identifier: https://api\n');
+
+      const context = new Context(repoDir, { somekey: 'someVal', url: 'http://localhost' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.clients).to.deep.equal(target.clients);
+            expect(context.resourceServers).to.deep.equal(target.resourceServers);
+          });
+        });
+    });
+
+    it('should error on bad yaml config file', (done) => {
+      const repoDir = path.join(testDataDir, 'configurables5');
+      const dir = path.join(repoDir, constants.CLIENTS_DIRECTORY);
+      const file = path.join(dir, 'someClient.yaml');
+      cleanThenMkdir(dir);
+      writeStringToFile(file, 'someKey: [ unclosed\n');
+
+      const context = new Context(repoDir);
+      context.init()
+        .catch((err) => {
+          check(done, function() {
+            expect(err.message).to.contain('Couldn\'t process client directory because: Couldn\'t parse the YAML file ' + file);
+          });
+        });
+    });
+
     it('should ignore bad config file', (done) => {
       const target = {
         clients: {
@@ -503,13 +838,13 @@ describe('#context', () => {
       const target = {
         someRule: {
           script: true,
-          scriptFile: 'function someRule() { var hello = @@hello@@; }',
+          scriptFile: 'function someRule(user, context, callback) { var hello = @@hello@@; }',
           metadata: false,
           name: 'someRule'
         },
         someRuleWithMeta: {
           script: true,
-          scriptFile: 'function someRuleWithMeta() { }',
+          scriptFile: 'function someRuleWithMeta(user, context, callback) { }',
           metadata: true,
           metadataFile: '{ "enabled": "foo" }',
           name: 'someRuleWithMeta'
@@ -524,17 +859,80 @@ describe('#context', () => {
       context.init()
         .then(() => {
           check(done, function() {
-            target.someRule.scriptFile = 'function someRule() { var hello = "goodbye"; }';
+            target.someRule.scriptFile = 'function someRule(user, context, callback) { var hello = "goodbye"; }';
             expect(context.rules).to.deep.equal(target);
           });
         });
     });
 
+    it('should process yaml rule metadata', (done) => {
+      const repoDir = path.join(testDataDir, 'rules4');
+      const dir = path.join(repoDir, constants.RULES_DIRECTORY);
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'someRule.js'), 'function someRule(user, context, callback) { }');
+      writeStringToFile(path.join(dir, 'someRule.yml'), 'enabled: false\norder: 10\n');
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.rules).to.deep.equal({
+              someRule: {
+                script: true,
+                scriptFile: 'function someRule(user, context, callback) { }',
+                metadata: true,
+                metadataFile: '{"enabled":false,"order":10}',
+                name: 'someRule'
+              }
+            });
+          });
+        });
+    });
+
+    it('should leave out manual rules', (done) => {
+      const repoDir = path.join(testDataDir, 'rules5');
+      const dir = path.join(repoDir, constants.RULES_DIRECTORY);
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'someRule.js'), 'function someRule(user, context, callback) { }');
+      writeStringToFile(path.join(dir, 'manualRule.json'), '{ "manual": true }');
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(Object.keys(context.rules)).to.deep.equal([ 'someRule' ]);
+            expect(context.manualRules).to.deep.equal([ 'manualRule' ]);
+          });
+        })
+        .catch(done);
+    });
+
+    it('should error on metadata without a script and duplicate orders', (done) => {
+      const repoDir = path.join(testDataDir, 'rules6');
+      const dir = path.join(repoDir, constants.RULES_DIRECTORY);
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'a.js'), 'function a(user, context, callback) { }');
+      writeStringToFile(path.join(dir, 'a.json'), '{ "order": 1 }');
+      writeStringToFile(path.join(dir, 'b.js'), 'function b(user, context, callback) { }');
+      writeStringToFile(path.join(dir, 'b.json'), '{ "order": 1 }');
+      writeStringToFile(path.join(dir, 'c.json'), '{ "enabled": false }');
+
+      const context = new Context(repoDir);
+      context.init()
+        .then(() => done(new Error('Expected the rules to be rejected')))
+        .catch((err) => {
+          check(done, function() {
+            expect(err.message).to.equal('The following rules have metadata files, but have no script files: c. Add the script, or mark the rule as manual.\n' +
+              'There are multiple rules with the same order: login_success order 1 (a, b).');
+          });
+        });
+    });
+
     it('should ignore bad rules file', (done) => {
       const target = {
         someRule: {
           script: true,
-          scriptFile: 'function someRule() { }',
+          scriptFile: 'function someRule(user, context, callback) { }',
           metadata: false,
           name: 'someRule'
         }
@@ -612,6 +1010,29 @@ describe('#context', () => {
         });
     });
 
+    it('should process yaml email template metadata', (done) => {
+      const repoDir = path.join(testDataDir, 'emailtemplates4');
+      const dir = path.join(repoDir, constants.EMAIL_TEMPLATES_DIRECTORY);
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'verify_email.html'), '<html></html>');
+      writeStringToFile(path.join(dir, 'verify_email.yaml'), 'from: ##from##\nsyntax: liquid\n');
+
+      const context = new Context(repoDir, { from: 'me@example.com' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.emailTemplates).to.deep.equal({
+              verify_email: {
+                htmlFile: '<html></html>',
+                metadata: true,
+                metadataFile: '{"from":"me@example.com","syntax":"liquid"}',
+                name: 'verify_email'
+              }
+            });
+          });
+        });
+    });
+
     it('should ignore bad email template file', (done) => {
       const target = {
         verify_email: {
@@ -726,4 +1147,107 @@ describe('#context', () => {
         });
     });
   });
+
+  describe('#context non-database connections', () => {
+    it('should process connections', (done) => {
+      const repoDir = path.join(testDataDir, 'otherConnections1');
+      const dir = path.join(repoDir, 'connections');
+      cleanThenMkdir(dir);
+      writeStringToFile(path.join(dir, 'google-oauth2.json'),
+        '{ "strategy": "google-oauth2", "options": { "client_secret": "##secret##" }, "enabled_clients": [ "someClient" ] }');
+      writeStringToFile(path.join(dir, 'corporate.yaml'), 'strategy: samlp\noptions:\n  signInEndpoint: "##url##"\n');
+
+      const context = new Context(repoDir, { secret: 'abc', url: 'https://idp' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.connections).to.deep.equal({
+              'google-oauth2': {
+                name: 'google-oauth2',
+                configFile: '{ "strategy": "google-oauth2", "options": { "client_secret": "abc" }, "enabled_clients": [ "someClient" ] }'
+              },
+              corporate: {
+                name: 'corporate',
+                configFile: '{"strategy":"samlp","options":{"signInEndpoint":"https://idp"}}'
+              }
+            });
+          });
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#context tenant settings', () => {
+    it('should process tenant.json', (done) => {
+      const repoDir = path.join(testDataDir, 'tenant1');
+      cleanThenMkdir(repoDir);
+      writeStringToFile(path.join(repoDir, 'tenant.json'), '{ "friendly_name": "##name##", "session_lifetime": @@lifetime@@ }');
+
+      const context = new Context(repoDir, { name: 'Some Tenant', lifetime: 72 });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(context.tenant).to.deep.equal({
+              settings: {
+                name: 'settings',
+                configFile: '{ "friendly_name": "Some Tenant", "session_lifetime": 72 }'
+              }
+            });
+          });
+        })
+        .catch(done);
+    });
+
+    it('should process tenant/settings.yaml', (done) => {
+      const repoDir = path.join(testDataDir, 'tenant2');
+      cleanThenMkdir(path.join(repoDir, 'tenant'));
+      writeStringToFile(path.join(repoDir, 'tenant', 'settings.yaml'), 'support_url: "##url##"\nflags:\n  enable_client_connections: false\n');
+
+      const context = new Context(repoDir, { url: 'https://support' });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(JSON.parse(context.tenant.settings.configFile)).to.deep.equal({
+              support_url: 'https://support',
+              flags: { enable_client_connections: false }
+            });
+          });
+        })
+        .catch(done);
+    });
+  });
+
+  describe('#context exclusions', () => {
+    it('should leave out excluded items', (done) => {
+      const repoDir = path.join(testDataDir, 'exclusions1');
+      cleanThenMkdir(repoDir);
+      [ constants.CLIENTS_DIRECTORY, constants.RESOURCE_SERVERS_DIRECTORY, 'connections', constants.RULES_DIRECTORY,
+        path.join(constants.DATABASE_CONNECTIONS_DIRECTORY, 'team-a-users') ]
+        .forEach(dir => mkdirp.sync(path.join(repoDir, dir)));
+      writeStringToFile(path.join(repoDir, constants.CLIENTS_DIRECTORY, 'team-a-spa.json'), '{ "app_type": "spa" }');
+      writeStringToFile(path.join(repoDir, constants.CLIENTS_DIRECTORY, 'someClient.json'), '{ "app_type": "spa" }');
+      writeStringToFile(path.join(repoDir, constants.RESOURCE_SERVERS_DIRECTORY, 'legacyApi.json'), '{ "identifier": "https://legacy" }');
+      writeStringToFile(path.join(repoDir, 'connections', 'google-oauth2.json'), '{ "strategy": "google-oauth2" }');
+      writeStringToFile(path.join(repoDir, constants.DATABASE_CONNECTIONS_DIRECTORY, 'team-a-users', 'login.js'), 'function login(email, password, callback) { }');
+      writeStringToFile(path.join(repoDir, constants.RULES_DIRECTORY, 'team-a-rule.js'), 'function rule(user, context, callback) { }');
+
+      const context = new Context(repoDir, {}, {
+        rules: [ 'team-a-*' ],
+        clients: [ 'team-a-*' ],
+        resourceServers: [ '/^legacy/i' ],
+        connections: [ 'google-oauth2', 'team-?-users' ]
+      });
+      context.init()
+        .then(() => {
+          check(done, function() {
+            expect(Object.keys(context.clients)).to.deep.equal([ 'someClient' ]);
+            expect(context.resourceServers).to.deep.equal({});
+            expect(context.connections).to.deep.equal({});
+            expect(context.databases).to.deep.equal([]);
+            expect(context.rules).to.deep.equal({});
+          });
+        })
+        .catch(done);
+    });
+  });
 });
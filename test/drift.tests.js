@@ -0,0 +1,129 @@
+import { findDrift, formatDrift } from '../src/drift';
+import normalizeContext from '../src/normalize';
+import { createContext, createTenant } from './utils';
+
+const expect = require('chai').expect;
+
+describe('#drift', () => {
+  it('should report what was changed, added and removed in the tenant', () => {
+    const context = createContext({
+      rules: {
+        removedRule: { name: 'removedRule', script: true, scriptFile: 'function a() {}', metadata: false },
+        changedRule: { name: 'changedRule', script: true, scriptFile: 'function b() {}', metadata: false },
+        sameRule: { name: 'sameRule', script: true, scriptFile: 'function c() {}', metadata: false }
+      },
+      clients: {
+        someClient: { name: 'someClient', configFile: '{ "callbacks": [ "http://a" ] }' }
+      }
+    });
+    const tenant = createTenant({
+      rules: [
+        { id: 'rul_1', name: 'changedRule', script: 'function b() {}', enabled: false, order: 1, stage: 'login_success' },
+        { id: 'rul_2', name: 'sameRule', script: 'function c() {}', enabled: true, order: 2, stage: 'login_success' },
+        { id: 'rul_3', name: 'addedRule', script: 'function d() {}', enabled: true, order: 3, stage: 'login_success' }
+      ],
+      clients: [
+        { client_id: 'global', name: 'All Applications', global: true },
+        { client_id: 'abc', name: 'someClient', callbacks: [ 'http://a' ] },
+        { client_id: 'def', name: 'addedClient' }
+      ]
+    });
+
+    expect(findDrift(normalizeContext(context), tenant, {})).to.deep.equal([
+      { type: 'rule', name: 'removedRule', kind: 'removed', changes: [] },
+      { type: 'rule', name: 'changedRule', kind: 'changed', changes: [ { field: 'enabled', tenant: false, repository: true } ] },
+      { type: 'rule', name: 'addedRule', kind: 'added', changes: [] },
+      { type: 'client', name: 'addedClient', kind: 'added', changes: [] }
+    ]);
+  });
+
+  it('should leave out what is excluded or not managed by the repository', () => {
+    const tenant = createTenant({
+      rules: [
+        { id: 'rul_1', name: 'team-a-rule', script: 'function a() {}', enabled: true, order: 1, stage: 'login_success' }
+      ],
+      clients: [
+        { client_id: 'global', name: 'All Applications', global: true },
+        { client_id: 'deploy', name: 'Deploy CLI' },
+        { client_id: 'abc', name: 'team-a-client' }
+      ],
+      resourceServers: [
+        { id: 'rs_1', name: 'Auth0 Management API', is_system: true },
+        { id: 'rs_2', name: 'team-a-api' }
+      ],
+      connections: [
+        { id: 'con_1', name: 'Username-Password-Authentication', strategy: 'auth0' }
+      ]
+    });
+
+    const drift = findDrift(normalizeContext(createContext()), tenant, {
+      excludedRules: [ 'team-a-*' ],
+      exclusions: { clients: [ 'team-a-*' ], resourceServers: [ '/^team-a-/' ], connections: [ 'Username-Password-Authentication' ] },
+      clientId: 'deploy'
+    });
+    expect(drift).to.deep.equal([]);
+  });
+
+  it('should report connections that are only in the tenant', () => {
+    const context = createContext({
+      databases: [ { name: 'db1', scripts: {} } ]
+    });
+    const tenant = createTenant({
+      connections: [
+        { id: 'con_1', name: 'db1', strategy: 'auth0', options: { customScripts: {} } },
+        { id: 'con_2', name: 'google-oauth2', strategy: 'google-oauth2' }
+      ]
+    });
+
+    expect(findDrift(normalizeContext(context), tenant, {})).to.deep.equal([
+      { type: 'connection', name: 'google-oauth2', kind: 'added', changes: [] }
+    ]);
+  });
+
+  it('should report a database that was removed from the tenant', () => {
+    const context = createContext({
+      databases: [ { name: 'db1', scripts: {} }, { name: 'db2', scripts: {} } ]
+    });
+    const tenant = createTenant({
+      connections: [ { id: 'con_1', name: 'db1', strategy: 'auth0', options: { customScripts: {} } } ]
+    });
+
+    expect(findDrift(normalizeContext(context), tenant, {})).to.deep.equal([
+      { type: 'connection', name: 'db2', kind: 'removed', changes: [] }
+    ]);
+  });
+
+  it('should format the drift', () => {
+    expect(formatDrift([])).to.equal('No drift, the tenant matches the repository.\n');
+    expect(formatDrift([
+      { type: 'rule', name: 'changedRule', kind: 'changed', changes: [ { field: 'enabled', tenant: false, repository: true } ] },
+      { type: 'rule', name: 'addedRule', kind: 'added', changes: [] },
+      { type: 'client', name: 'removedClient', kind: 'removed', changes: [] }
+    ])).to.equal([
+      'Rules:',
+      '  ~ changed changedRule',
+      '      enabled: true in the repository, false in the tenant',
+      '  + added addedRule',
+      '',
+      'Clients:',
+      '  - removed removedClient',
+      '',
+      'Drift: 1 changed, 1 added, 1 removed outside of the repository.',
+      ''
+    ].join('\n'));
+  });
+
+  it('should mask the secrets in the drift', () => {
+    const text = formatDrift([
+      {
+        type: 'connection',
+        name: 'google',
+        kind: 'changed',
+        changes: [ { field: 'options.client_secret', tenant: 'tenant-s3cret', repository: 'repo-s3cret' } ]
+      }
+    ]);
+
+    expect(text).to.not.contain('s3cret');
+    expect(text).to.contain('options.client_secret: "[REDACTED]" in the repository, "[REDACTED]" in the tenant');
+  });
+});
@@ -0,0 +1,67 @@
+import { getEnvironmentNames, getEnvironmentOverrides, getEnvironmentSettings, getStateFileName } from '../src/environments';
+
+const expect = require('chai').expect;
+
+describe('#environments', () => {
+  const settings = {
+    AUTH0_CLIENT_ID: 'shared',
+    AUTH0_KEYWORD_REPLACE_MAPPINGS: { COMPANY: 'Fabrikam', ENV: 'none' },
+    AUTH0_EXCLUDED_RULES: [ 'manual' ],
+    environments: {
+      dev: {
+        AUTH0_DOMAIN: 'fabrikam-dev.auth0.com',
+        AUTH0_KEYWORD_REPLACE_MAPPINGS: { ENV: 'dev' }
+      },
+      prod: {
+        AUTH0_DOMAIN: 'fabrikam.auth0.com',
+        AUTH0_CLIENT_ID: 'prod',
+        AUTH0_EXCLUDED_RULES: []
+      }
+    }
+  };
+
+  it('should read a comma separated list of environments', () => {
+    expect(getEnvironmentNames('dev, staging,prod,dev')).to.deep.equal([ 'dev', 'staging', 'prod' ]);
+    expect(getEnvironmentNames(undefined)).to.deep.equal([]);
+  });
+
+  it('should override the shared settings and merge the keyword mappings', () => {
+    expect(getEnvironmentSettings(settings, 'dev')).to.deep.equal({
+      AUTH0_CLIENT_ID: 'shared',
+      AUTH0_DOMAIN: 'fabrikam-dev.auth0.com',
+      AUTH0_KEYWORD_REPLACE_MAPPINGS: { COMPANY: 'Fabrikam', ENV: 'dev' },
+      AUTH0_EXCLUDED_RULES: [ 'manual' ]
+    });
+    expect(getEnvironmentSettings(settings, 'prod')).to.deep.equal({
+      AUTH0_CLIENT_ID: 'prod',
+      AUTH0_DOMAIN: 'fabrikam.auth0.com',
+      AUTH0_KEYWORD_REPLACE_MAPPINGS: { COMPANY: 'Fabrikam', ENV: 'none' },
+      AUTH0_EXCLUDED_RULES: []
+    });
+  });
+
+  it('should use the shared settings without an environment', () => {
+    expect(getEnvironmentSettings(settings)).to.not.have.property('environments');
+    expect(getEnvironmentSettings(settings).AUTH0_CLIENT_ID).to.equal('shared');
+  });
+
+  it('should fail on an unknown environment', () => {
+    expect(() => getEnvironmentSettings(settings, 'staging'))
+      .to.throw('The environment staging is not in the config file, it has: dev, prod');
+    expect(() => getEnvironmentSettings({ AUTH0_DOMAIN: 'x' }, 'dev'))
+      .to.throw('The environment dev is not in the config file, it has no environments');
+  });
+
+  it('should only let an environment override what it sets itself', () => {
+    expect(getEnvironmentOverrides(settings, 'dev')).to.deep.equal({
+      AUTH0_DOMAIN: 'fabrikam-dev.auth0.com',
+      AUTH0_KEYWORD_REPLACE_MAPPINGS: { COMPANY: 'Fabrikam', ENV: 'dev' }
+    });
+    expect(getEnvironmentOverrides(settings)).to.deep.equal({});
+  });
+
+  it('should keep a state file per environment', () => {
+    expect(getStateFileName('./local/state', 'dev')).to.equal('./local/state.dev');
+    expect(getStateFileName('./local/state', null)).to.equal('./local/state');
+  });
+});
@@ -0,0 +1,41 @@
+import { expandExclusions, getExclusions, isExcluded, omitExcluded } from '../src/exclusions';
+
+const expect = require('chai').expect;
+
+describe('#exclusions', () => {
+  it('should match names exactly, with globs or with regular expressions', () => {
+    expect(isExcluded('someRule', [ 'someRule' ])).to.equal(true);
+    expect(isExcluded('someRule2', [ 'someRule' ])).to.equal(false);
+    expect(isExcluded('team-a-api', [ 'team-*' ])).to.equal(true);
+    expect(isExcluded('team-b', [ 'team-?' ])).to.equal(true);
+    expect(isExcluded('some.client', [ 'some*client' ])).to.equal(true);
+    expect(isExcluded('someXclient', [ 'some.client' ])).to.equal(false);
+    expect(isExcluded('All Applications', [ '/^all app/i' ])).to.equal(true);
+    expect(isExcluded('anything', [])).to.equal(false);
+    expect(isExcluded('anything')).to.equal(false);
+  });
+
+  it('should read lists from the config file and from environment variables', () => {
+    const settings = {
+      AUTH0_EXCLUDED_RULES: [ 'a', 'b' ],
+      AUTH0_EXCLUDED_CLIENTS: 'team-*, /^legacy/'
+    };
+
+    expect(getExclusions(key => settings[key])).to.deep.equal({
+      rules: [ 'a', 'b' ],
+      clients: [ 'team-*', '/^legacy/' ],
+      resourceServers: [],
+      connections: []
+    });
+  });
+
+  it('should drop excluded items from objects and lists', () => {
+    expect(omitExcluded({ a: { name: 'a' }, b: { name: 'b' } }, [ 'a' ], 'client')).to.deep.equal({ b: { name: 'b' } });
+    expect(omitExcluded([ { name: 'a' }, { name: 'b' } ], [ 'b' ], 'connection')).to.deep.equal([ { name: 'a' } ]);
+  });
+
+  it('should expand patterns into the names they match', () => {
+    expect(expandExclusions([ 'manual', 'team-*' ], [ 'team-a', 'other', 'team-b', 'manual' ]))
+      .to.deep.equal([ 'manual', 'team-a', 'team-b' ]);
+  });
+});
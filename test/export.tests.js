@@ -0,0 +1,116 @@
+import Context from '../src/context';
+import exportTenant from '../src/export';
+import { createClient } from './utils';
+
+const expect = require('chai').expect;
+const logger = require('../src/logger');
+const rmdirSync = require('rmdir-sync');
+const fs = require('fs');
+const path = require('path');
+const constants = require('@factorten/auth0-source-control-extension-tools').constants;
+
+const check = function(done, f) {
+  try {
+    f();
+    done();
+  } catch (e) {
+    done(e);
+  }
+};
+
+const clean = (dir) => {
+  try {
+    rmdirSync(dir);
+  } catch (err) {
+    logger.error(err);
+  }
+};
+
+describe('#export', () => {
+  const testDataDir = path.resolve('local', 'testData');
+
+  it('should export a tenant that the context can read back', (done) => {
+    const tenant = {
+      rules: [
+        { id: 'rul_1', name: 'someRule', script: 'function (user, context, cb) { cb(null, user, context); }', enabled: true, order: 1, stage: 'login_success' }
+      ],
+      clients: [
+        { client_id: 'global', name: 'All Applications', global: true, custom_login_page: '<html>login</html>', custom_login_page_on: true },
+        { client_id: 'abc', client_secret: 'secret', tenant: 'tenant', name: 'someClient', callbacks: [ 'http://localhost' ] }
+      ],
+      clientGrants: [
+        { id: 'cgr_1', client_id: 'abc', audience: 'https://api', scope: [ 'read:things' ] }
+      ],
+      resourceServers: [
+        { id: 'rs_1', name: constants.RESOURCE_SERVERS_MANAGEMENT_API_NAME, identifier: 'https://tenant/api/v2/', is_system: true },
+        { id: 'rs_2', name: 'someApi', identifier: 'https://api', scopes: [] }
+      ],
+      connections: [
+        { id: 'con_1', name: 'db1', strategy: 'auth0', options: { customScripts: { login: 'function login(email, password, callback) { }' }, passwordPolicy: 'good' } },
+        { id: 'con_2', name: 'google-oauth2', strategy: 'google-oauth2', options: { scope: [ 'email' ] }, enabled_clients: [ 'abc', 'other' ] }
+      ],
+      settings: {
+        friendly_name: 'Some Tenant',
+        sandbox_versions_available: [ '8' ],
+        error_page: { url: 'https://error', html: '', show_log_link: false }
+      },
+      emailTemplates: {
+        verify_email: { template: 'verify_email', body: '<html>verify</html>', from: 'me@example.com', syntax: 'liquid', enabled: true }
+      },
+      emailProvider: { name: 'smtp', enabled: true }
+    };
+
+    const dir = path.join(testDataDir, 'export1');
+    clean(dir);
+
+    exportTenant(createClient(tenant), dir)
+      .then(() => {
+        const context = new Context(dir);
+        return context.init().then(() => context);
+      })
+      .then((context) => {
+        check(done, function() {
+          expect(context.rules.someRule.scriptFile).to.equal(tenant.rules[0].script);
+          expect(JSON.parse(context.rules.someRule.metadataFile)).to.deep.equal({ enabled: true, order: 1, stage: 'login_success' });
+          expect(Object.keys(context.clients)).to.deep.equal([ 'someClient' ]);
+          expect(JSON.parse(context.clients.someClient.configFile)).to.deep.equal({ name: 'someClient', callbacks: [ 'http://localhost' ] });
+          expect(JSON.parse(context.clients.someClient.metadataFile)).to.deep.equal({ grants: { 'https://api': [ 'read:things' ] } });
+          expect(Object.keys(context.resourceServers)).to.deep.equal([ 'someApi' ]);
+          expect(JSON.parse(context.resourceServers.someApi.configFile)).to.deep.equal({ name: 'someApi', identifier: 'https://api', scopes: [] });
+          expect(context.databases.length).to.equal(1);
+          expect(context.databases[0].name).to.equal('db1');
+          expect(context.databases[0].scripts.login.scriptFile).to.equal('function login(email, password, callback) { }');
+          expect(context.databases[0].configuration).to.deep.equal({ options: { passwordPolicy: 'good' } });
+          expect(context.pages.login.htmlFile).to.equal('<html>login</html>');
+          expect(JSON.parse(context.pages.login.metadataFile)).to.deep.equal({ enabled: true });
+          expect(JSON.parse(context.pages.error_page.metadataFile)).to.deep.equal({ enabled: false, url: 'https://error' });
+          expect(context.emailTemplates.verify_email.htmlFile).to.equal('<html>verify</html>');
+          expect(JSON.parse(context.emailTemplates.verify_email.metadataFile)).to.deep.equal({ from: 'me@example.com', syntax: 'liquid', enabled: true });
+          expect(JSON.parse(context.emailProviders.default.configFile)).to.deep.equal({ name: 'smtp', enabled: true });
+          expect(JSON.parse(context.connections['google-oauth2'].configFile)).to.deep.equal({
+            name: 'google-oauth2',
+            strategy: 'google-oauth2',
+            options: { scope: [ 'email' ] },
+            enabled_clients: [ 'someClient', 'other' ]
+          });
+          expect(JSON.parse(context.tenant.settings.configFile)).to.deep.equal({ friendly_name: 'Some Tenant' });
+        });
+      })
+      .catch(done);
+  });
+
+  it('should skip email templates and providers that are not configured', (done) => {
+    const dir = path.join(testDataDir, 'export2');
+    clean(dir);
+
+    exportTenant(createClient({}), dir)
+      .then((counts) => {
+        check(done, function() {
+          expect(counts.emailTemplates).to.equal(0);
+          expect(counts.emailProviders).to.equal(0);
+          expect(fs.existsSync(path.join(dir, constants.EMAIL_TEMPLATES_DIRECTORY))).to.equal(false);
+        });
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,336 @@
+import {
+  checkDatabaseExpectations, checkExpectations, formatTestResults, getRuleChain, loadTestFile, readFixture,
+  runDatabaseScript, runDatabaseTests, runRuleTests, runRules
+} from '../src/harness';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const rmdirSync = require('rmdir-sync');
+
+const rule = (source, metadata) => ({
+  script: true,
+  scriptFile: source,
+  metadata: !!metadata,
+  metadataFile: metadata ? JSON.stringify(metadata) : undefined
+});
+
+const rules = {
+  addRoles: rule('function (user, context, callback) {\n' +
+    '  user.app_metadata.roles = configuration.ADMINS.indexOf(user.email) >= 0 ? [ "admin" ] : [ "user" ];\n' +
+    '  auth0.users.updateAppMetadata(user.user_id, user.app_metadata)\n' +
+    '    .then(function() { callback(null, user, context); });\n' +
+    '}', { order: 1 }),
+  addClaims: rule('function (user, context, callback) {\n' +
+    '  context.idToken["https://fabrikam.com/roles"] = user.app_metadata.roles;\n' +
+    '  callback(null, user, context);\n' +
+    '}', { order: 2 }),
+  blockCountries: rule('function (user, context, callback) {\n' +
+    '  if (context.request.geoip && context.request.geoip.country_code === "XX") {\n' +
+    '    return callback(new UnauthorizedError("Logins from XX are not allowed"));\n' +
+    '  }\n' +
+    '  callback(null, user, context);\n' +
+    '}', { order: 0 }),
+  disabled: rule('function (user, context, callback) { callback(new Error("disabled")); }', { enabled: false }),
+  preRegistration: rule('function (user, context, callback) { callback(new Error("hook")); }', { stage: 'pre_user_registration' })
+};
+
+describe('#harness', () => {
+  const testDataDir = path.resolve('local', 'testData', 'harness');
+
+  beforeEach(() => {
+    if (fs.existsSync(testDataDir)) rmdirSync(testDataDir);
+    mkdirp.sync(testDataDir);
+  });
+
+  const writeFile = (name, data) => {
+    const fileName = path.join(testDataDir, name);
+    fs.writeFileSync(fileName, typeof data === 'string' ? data : JSON.stringify(data));
+    return fileName;
+  };
+
+  it('should run the enabled login rules by their order', () => {
+    expect(getRuleChain(rules).map(item => item.name)).to.deep.equal([ 'blockCountries', 'addRoles', 'addClaims' ]);
+    expect(getRuleChain({ b: rule('function (u, c, cb) {}'), a: rule('function (u, c, cb) {}') }).map(item => item.name))
+      .to.deep.equal([ 'a', 'b' ]);
+  });
+
+  it('should pass the user and context from one rule to the next', (done) => {
+    const user = { email: 'admin@fabrikam.com', user_id: 'auth0|1', app_metadata: {} };
+    const context = { request: {}, idToken: {} };
+
+    runRules(getRuleChain(rules), user, context, { configuration: { ADMINS: [ 'admin@fabrikam.com' ] } })
+      .then((result) => {
+        expect(result.error).to.equal(null);
+        expect(result.rules).to.deep.equal([ 'blockCountries', 'addRoles', 'addClaims' ]);
+        expect(result.user.app_metadata.roles).to.deep.equal([ 'admin' ]);
+        expect(result.context.idToken).to.deep.equal({ 'https://fabrikam.com/roles': [ 'admin' ] });
+        expect(result.auth0Calls).to.deep.equal([
+          { method: 'users.updateAppMetadata', userId: 'auth0|1', metadata: { roles: [ 'admin' ] } }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should stop at the first error', (done) => {
+    const context = { request: { geoip: { country_code: 'XX' } }, idToken: {} };
+
+    runRules(getRuleChain(rules), { app_metadata: {} }, context, { configuration: { ADMINS: [] } })
+      .then((result) => {
+        expect(result.rules).to.deep.equal([ 'blockCountries' ]);
+        expect(result.error).to.deep.equal({
+          rule: 'blockCountries',
+          name: 'UnauthorizedError',
+          message: 'Logins from XX are not allowed'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should report rules that throw or never call back', (done) => {
+    const chain = getRuleChain({
+      throws: rule('function (user, context, callback) { user.missing.field = 1; }', { order: 1 }),
+      hangs: rule('function (user, context, callback) { }', { order: 2 })
+    });
+
+    runRules(chain, {}, {}, {})
+      .then((result) => {
+        expect(result.error).to.include({ rule: 'throws', name: 'TypeError' });
+        return runRules(chain.slice(1), {}, {}, { timeout: 10 });
+      })
+      .then((result) => {
+        expect(result.error).to.deep.equal({
+          rule: 'hangs',
+          name: 'Error',
+          message: 'The script did not call the callback within 0.01s'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should only compare the expected fields', () => {
+    const result = {
+      user: { email: 'a@fabrikam.com', app_metadata: { roles: [ 'user' ], plan: 'free' } },
+      context: { idToken: {} },
+      error: null
+    };
+
+    expect(checkExpectations(result, { user: { app_metadata: { plan: 'free' } } })).to.deep.equal([]);
+    expect(checkExpectations(result, { user: { app_metadata: { roles: [ 'admin' ] } }, context: { idToken: { a: 1 } } }))
+      .to.deep.equal([
+        'user.app_metadata.roles: expected ["admin"], got ["user"]',
+        'context.idToken.a: expected 1, got (not set)'
+      ]);
+  });
+
+  it('should check the error', () => {
+    const failed = { user: {}, context: {}, error: { rule: 'block', name: 'UnauthorizedError', message: 'Not allowed from XX' } };
+
+    expect(checkExpectations(failed, { error: 'Not allowed from XX' })).to.deep.equal([]);
+    expect(checkExpectations(failed, { error: '/not allowed/i' })).to.deep.equal([]);
+    expect(checkExpectations(failed, { error: 'Blocked' }))
+      .to.deep.equal([ 'Expected the error "Blocked", but block returned "Not allowed from XX"' ]);
+    expect(checkExpectations(failed, {})).to.deep.equal([ 'block returned the error "Not allowed from XX"' ]);
+    expect(checkExpectations({ user: {}, context: {}, error: null }, { error: 'Blocked' }))
+      .to.deep.equal([ 'Expected the error "Blocked", but the rules did not return an error' ]);
+  });
+
+  it('should read the fixtures next to the test file', () => {
+    const testFile = writeFile('rules.test.json', { tests: [] });
+    writeFile('user.json', { email: 'a@fabrikam.com' });
+    writeFile('context.yaml', 'clientName: My App\n');
+
+    expect(readFixture('user.json', testFile)).to.deep.equal({ email: 'a@fabrikam.com' });
+    expect(readFixture('./context.yaml', testFile)).to.deep.equal({ clientName: 'My App' });
+    expect(readFixture({ email: 'b@fabrikam.com' }, testFile)).to.deep.equal({ email: 'b@fabrikam.com' });
+    expect(readFixture(undefined, testFile)).to.deep.equal({});
+    expect(() => readFixture('missing.json', testFile)).to.throw(/The fixture missing.json of .* does not exist/);
+  });
+
+  it('should reject test files without tests', () => {
+    expect(() => loadTestFile(writeFile('empty.test.json', {}))).to.throw(/must have a list of tests/);
+    expect(() => loadTestFile(writeFile('noName.test.json', { tests: [ { expect: {} } ] })))
+      .to.throw(/Test 1 in .* has no name/);
+    expect(() => loadTestFile(writeFile('noExpect.test.json', { tests: [ { name: 'a' } ] })))
+      .to.throw(/The test "a" in .* has nothing to expect/);
+    expect(() => loadTestFile(writeFile('broken.test.yaml', 'tests: [')))
+      .to.throw(/Couldn't parse .*broken.test.yaml/);
+  });
+
+  it('should run the tests of a test file', (done) => {
+    writeFile('admin.json', { email: 'admin@fabrikam.com', user_id: 'auth0|1' });
+    const testFile = loadTestFile(writeFile('rules.test.yaml', [
+      'configuration:',
+      '  ADMINS: [ admin@fabrikam.com ]',
+      'tests:',
+      '  - name: admins get the admin role',
+      '    user: admin.json',
+      '    expect:',
+      '      user: { app_metadata: { roles: [ admin ] } }',
+      '      context: { idToken: { "https://fabrikam.com/roles": [ admin ] } }',
+      '  - name: other users get the user role',
+      '    user: { email: other@fabrikam.com }',
+      '    rules: [ addRoles ]',
+      '    expect:',
+      '      user: { app_metadata: { roles: [ admin ] } }',
+      '  - name: logins from XX are blocked',
+      '    context: { request: { geoip: { country_code: XX } } }',
+      '    expect:',
+      '      error: /not allowed/',
+      '  - name: a rule that does not exist',
+      '    rules: [ addRoles, removeRoles ]',
+      '    expect: {}',
+      ''
+    ].join('\n')));
+
+    runRuleTests(rules, testFile)
+      .then((results) => {
+        expect(results).to.deep.equal([
+          { name: 'admins get the admin role', passed: true, failures: [] },
+          { name: 'other users get the user role', passed: false, failures: [ 'user.app_metadata.roles: expected ["admin"], got ["user"]' ] },
+          { name: 'logins from XX are blocked', passed: true, failures: [] },
+          { name: 'a rule that does not exist', passed: false, failures: [ 'There is no enabled rule removeRoles' ] }
+        ]);
+        expect(formatTestResults('rules.test.yaml', results.slice(0, 2))).to.equal([
+          'rules.test.yaml',
+          '  ✓ admins get the admin role',
+          '  ✗ other users get the user role',
+          '      user.app_metadata.roles: expected ["admin"], got ["user"]',
+          ''
+        ].join('\n'));
+        done();
+      })
+      .catch(done);
+  });
+
+  const database = {
+    name: 'users',
+    options: {
+      configuration: { DB_HOST: 'db.fabrikam.com', DOMAIN: 'fabrikam.com' },
+      customScripts: {
+        login: 'function login(email, password, callback) {\n' +
+          '  var db = require("users-db");\n' +
+          '  var user = db.connect(configuration.DB_HOST).find(email);\n' +
+          '  if (!user || user.password !== password) return callback(new WrongUsernameOrPasswordError(email, "Wrong email or password"));\n' +
+          '  callback(null, { user_id: user.id, email: email, nickname: email.split("@")[0] });\n' +
+          '}',
+        create: 'function create(user, callback) {\n' +
+          '  if (user.email.split("@")[1] !== configuration.DOMAIN) return callback(new ValidationError("invalid_domain", "Not allowed"));\n' +
+          '  callback(null);\n' +
+          '}'
+      }
+    }
+  };
+
+  it('should run a database script with the configuration and the stubbed modules', (done) => {
+    const usersDb = { connect: host => ({ find: email => (host === 'db.fabrikam.com' && email === 'a@fabrikam.com' ? { id: '1', password: 'secret' } : null) }) };
+    const options = { configuration: database.options.configuration, modules: { 'users-db': usersDb } };
+
+    runDatabaseScript(database.options.customScripts.login, 'login', [ 'a@fabrikam.com', 'secret' ], options)
+      .then((result) => {
+        expect(result).to.deep.equal({
+          script: 'login',
+          error: null,
+          results: [ { user_id: '1', email: 'a@fabrikam.com', nickname: 'a' } ]
+        });
+        return runDatabaseScript(database.options.customScripts.login, 'login', [ 'a@fabrikam.com', 'wrong' ], options);
+      })
+      .then((result) => {
+        expect(result.error).to.deep.equal({ script: 'login', name: 'WrongUsernameOrPasswordError', message: 'Wrong email or password' });
+        expect(result.results).to.deep.equal([]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should fail a database script that requires a module without a stub', (done) => {
+    const source = 'function login(email, password, callback) {\n' +
+      '  var crypto = require("crypto");\n' +
+      '  var db = require("mysql");\n' +
+      '  callback(null, { user_id: crypto.createHash("md5").update(email).digest("hex") });\n' +
+      '}';
+
+    runDatabaseScript(source, 'login', [ 'a@fabrikam.com', 'secret' ], { modules: {} })
+      .then((result) => {
+        expect(result.error).to.deep.equal({
+          script: 'login',
+          name: 'Error',
+          message: 'The module mysql is not stubbed, add it to the modules of the test file'
+        });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should compare the result of a database script', () => {
+    const result = { script: 'login', error: null, results: [ { user_id: '1', email: 'a@fabrikam.com' } ] };
+
+    expect(checkDatabaseExpectations(result, { result: { user_id: '1' } })).to.deep.equal([]);
+    expect(checkDatabaseExpectations(result, { result: { user_id: '2' } }))
+      .to.deep.equal([ 'result.user_id: expected "2", got "1"' ]);
+    expect(checkDatabaseExpectations({ script: 'verify', error: null, results: [ true ] }, { result: false }))
+      .to.deep.equal([ 'result: expected false, got true' ]);
+    expect(checkDatabaseExpectations({ script: 'login', error: null, results: [] }, { error: 'Wrong email or password' }))
+      .to.deep.equal([ 'Expected the error "Wrong email or password", but the script did not return an error' ]);
+    expect(checkDatabaseExpectations({ script: 'login', error: { message: 'Timeout' }, results: [] }, {}))
+      .to.deep.equal([ 'login returned the error "Timeout"' ]);
+  });
+
+  it('should run the tests of a test file against a database connection', (done) => {
+    writeFile('users-db.js', 'module.exports = { connect: function() { return { find: function(email) {\n' +
+      '  return email === "a@fabrikam.com" ? { id: "1", password: "secret" } : null;\n' +
+      '} }; } };\n');
+    writeFile('new-user.json', { user: { email: 'b@contoso.com' } });
+    const testFile = loadTestFile(writeFile('users.test.yaml', [
+      'modules:',
+      '  users-db: ./users-db.js',
+      'tests:',
+      '  - name: logs in with the right password',
+      '    script: login',
+      '    input: { email: a@fabrikam.com, password: secret }',
+      '    expect:',
+      '      result: { user_id: "1", nickname: a }',
+      '  - name: fails with the wrong password',
+      '    script: login',
+      '    input: [ a@fabrikam.com, wrong ]',
+      '    expect:',
+      '      error: /wrong/i',
+      '  - name: only creates users of the domain',
+      '    script: create',
+      '    input: { user: { email: b@contoso.com } }',
+      '    configuration: { DOMAIN: contoso.com }',
+      '    expect: {}',
+      '  - name: rejects users of other domains',
+      '    script: create',
+      '    input: new-user.json',
+      '    expect: {}',
+      '  - name: a script the connection does not have',
+      '    script: verify',
+      '    expect: {}',
+      '  - name: not a database script',
+      '    script: rule',
+      '    expect: {}',
+      ''
+    ].join('\n')));
+
+    runDatabaseTests(database, testFile)
+      .then((results) => {
+        expect(results.map(result => [ result.name, result.passed, result.failures ])).to.deep.equal([
+          [ 'logs in with the right password', true, [] ],
+          [ 'fails with the wrong password', true, [] ],
+          [ 'only creates users of the domain', true, [] ],
+          [ 'rejects users of other domains', false, [ 'create returned the error "Not allowed"' ] ],
+          [ 'a script the connection does not have', false, [ 'The connection users has no verify script' ] ],
+          [ 'not a database script', false, [ 'The script must be one of get_user, create, verify, login, change_password, delete, change_email' ] ]
+        ]);
+        expect(results[0].results).to.deep.equal([ { user_id: '1', email: 'a@fabrikam.com', nickname: 'a' } ]);
+        expect(results[3].error).to.deep.equal({ script: 'create', name: 'ValidationError', message: 'Not allowed' });
+        done();
+      })
+      .catch(done);
+  });
+});
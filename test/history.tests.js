@@ -0,0 +1,147 @@
+import { MAX_HISTORY, addToHistory, createHistoryEntry, findHistoryEntry, formatHistory, formatHistoryEntry, getLatest }
+  from '../src/history';
+import { FileStorage } from '../src/storage';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const rmdirSync = require('rmdir-sync');
+
+const createResult = options => Object.assign({
+  startedAt: new Date('2018-03-01T10:00:00.000Z'),
+  finishedAt: new Date('2018-03-01T10:00:12.500Z'),
+  environment: 'prod',
+  tenant: 'fabrikam.auth0.com',
+  deployId: 'abc',
+  progress: { id: 'me', user: 'me', sha: '2018-03-01T10:00:00Z', branch: 'build01', repository: 'Auth0 Deploy CLI' },
+  plan: [
+    { type: 'rule', name: 'rule1', action: 'create' },
+    { type: 'rule', name: 'rule2', action: 'unchanged' },
+    { type: 'client', name: 'client1', action: 'update' }
+  ]
+}, options);
+
+const createStorage = (history) => {
+  const storage = {
+    history: history,
+    readHistory: () => Promise.resolve(storage.history),
+    writeHistory: (value) => {
+      storage.history = value;
+      return Promise.resolve();
+    }
+  };
+  return storage;
+};
+
+describe('#history', () => {
+  it('should record what a deploy changed and who ran it', () => {
+    const entry = createHistoryEntry(createResult(), './tenant');
+
+    expect(entry.deployId).to.equal('abc');
+    expect(entry.status).to.equal('succeeded');
+    expect(entry.input).to.equal('./tenant');
+    expect(entry.tenant).to.equal('fabrikam.auth0.com');
+    expect(entry.environment).to.equal('prod');
+    expect(entry.progress.user).to.equal('me');
+    expect(entry.duration).to.equal(12500);
+    expect(entry.resources).to.deep.equal([
+      { type: 'rule', name: 'rule1', action: 'created', applied: true },
+      { type: 'client', name: 'client1', action: 'updated', applied: true }
+    ]);
+    expect(entry).to.not.have.property('dryRun');
+  });
+
+  it('should record a deploy that failed', () => {
+    const err = new Error('Bad request');
+    err.phase = 'deploy';
+
+    const entry = createHistoryEntry(createResult({ error: err }));
+    expect(entry.status).to.equal('failed');
+    expect(entry.input).to.equal(null);
+    expect(entry.error).to.deep.equal({ message: 'Bad request', exitCode: 5 });
+  });
+
+  it('should keep a failed deploy in the history of the state file', () => {
+    const testDataDir = path.resolve('local', 'testData', 'history');
+    if (fs.existsSync(testDataDir)) rmdirSync(testDataDir);
+    mkdirp.sync(testDataDir);
+
+    const err = new Error('Bad request');
+    err.phase = 'deploy';
+    const fileName = path.join(testDataDir, 'state');
+
+    /* The CLI exits as soon as the deploy fails, so the entry has to be on disk when adding it resolves */
+    return addToHistory(new FileStorage(fileName), createHistoryEntry(createResult({ error: err })))
+      .then(() => new FileStorage(fileName).readHistory())
+      .then((history) => {
+        expect(history.length).to.equal(1);
+        expect(history[0].deployId).to.equal('abc');
+        expect(history[0].status).to.equal('failed');
+        expect(history[0].error).to.deep.equal({ message: 'Bad request', exitCode: 5 });
+      });
+  });
+
+  it('should add to the history and drop the oldest deploys', (done) => {
+    const history = [];
+    for (let i = 0; i < MAX_HISTORY; i += 1) {
+      history.push({ deployId: 'deploy' + i });
+    }
+
+    const storage = createStorage(history);
+    addToHistory(storage, { deployId: 'latest' })
+      .then(() => {
+        expect(storage.history.length).to.equal(MAX_HISTORY);
+        expect(storage.history[0].deployId).to.equal('deploy1');
+        expect(storage.history[MAX_HISTORY - 1].deployId).to.equal('latest');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should keep as many deploys as the limit, or all of them', (done) => {
+    const storage = createStorage([ { deployId: 'a' }, { deployId: 'b' } ]);
+    addToHistory(storage, { deployId: 'c' }, 2)
+      .then(() => {
+        expect(storage.history.map(entry => entry.deployId)).to.deep.equal([ 'b', 'c' ]);
+        return addToHistory(storage, { deployId: 'd' }, 0);
+      })
+      .then(() => {
+        expect(storage.history.map(entry => entry.deployId)).to.deep.equal([ 'b', 'c', 'd' ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should list the newest deploys first', () => {
+    const history = [ { deployId: 'a' }, { deployId: 'b' }, { deployId: 'c' } ];
+
+    expect(getLatest(history, 2)).to.deep.equal([ { deployId: 'c' }, { deployId: 'b' } ]);
+    expect(getLatest(history)).to.deep.equal([ { deployId: 'c' }, { deployId: 'b' }, { deployId: 'a' } ]);
+    expect(history[0].deployId).to.equal('a');
+    expect(findHistoryEntry(history, 'b')).to.deep.equal({ deployId: 'b' });
+    expect(findHistoryEntry(history, 'd')).to.equal(undefined);
+  });
+
+  it('should format the history', () => {
+    const entry = createHistoryEntry(createResult(), './tenant');
+
+    expect(formatHistory([ entry ])).to.equal('abc  2018-03-01T10:00:00.000Z  succeeded  me@build01  ' +
+      'fabrikam.auth0.com (prod)  1 created, 1 updated\n');
+    expect(formatHistory([])).to.equal('There are no deploys in the history.\n');
+  });
+
+  it('should format a single deploy', () => {
+    const err = new Error('Bad request');
+    err.phase = 'deploy';
+
+    const output = formatHistoryEntry(createHistoryEntry(createResult({ error: err }), './tenant'));
+    expect(output).to.contain('Deploy abc\n');
+    expect(output).to.contain('  Status:      failed\n');
+    expect(output).to.contain('  Input:       ./tenant\n');
+    expect(output).to.contain('  By:          me@build01, Auth0 Deploy CLI\n');
+    expect(output).to.contain('  Finished at: 2018-03-01T10:00:12.500Z (12.5s)\n');
+    expect(output).to.contain('  Error:       Bad request (exit code 5)\n');
+    expect(output).to.contain('Resources:\n  create rule rule1 (not applied)\n  update client client1 (not applied)\n');
+  });
+});
@@ -0,0 +1,71 @@
+import { createKeywords, formatUnresolved, keywordReplace, keywordReplaceObject } from '../src/keywords';
+
+const expect = require('chai').expect;
+
+describe('#keywords', () => {
+  it('should replace ##KEY## as is and @@KEY@@ as JSON', () => {
+    expect(keywordReplace('##url##/callback', { url: 'http://localhost' })).to.equal('http://localhost/callback');
+    expect(keywordReplace('{ "callbacks": @@urls@@ }', { urls: [ 'http://a', 'http://b' ] }))
+      .to.equal('{ "callbacks": ["http://a","http://b"] }');
+    expect(keywordReplace('var timeout = @@timeout@@;', { timeout: 3600 })).to.equal('var timeout = 3600;');
+  });
+
+  it('should use the default when there is no mapping', () => {
+    expect(keywordReplace('##url:http://localhost##/callback', {})).to.equal('http://localhost/callback');
+    expect(keywordReplace('##url:http://localhost##/callback', { url: 'https://fabrikam.com' }))
+      .to.equal('https://fabrikam.com/callback');
+    expect(keywordReplace('{ "lifetime": @@timeout:3600@@, "name": @@name:Fabrikam@@ }'))
+      .to.equal('{ "lifetime": 3600, "name": "Fabrikam" }');
+  });
+
+  it('should look up nested keys', () => {
+    const mappings = { urls: { api: 'https://api.fabrikam.com', callbacks: [ 'http://a' ] }, 'dotted.key': 'flat' };
+    expect(keywordReplace('##urls.api##/v1', mappings)).to.equal('https://api.fabrikam.com/v1');
+    expect(keywordReplace('@@urls.callbacks@@', mappings)).to.equal('["http://a"]');
+    expect(keywordReplace('##dotted.key##', mappings)).to.equal('flat');
+  });
+
+  it('should replace placeholders in parsed data', () => {
+    expect(keywordReplaceObject({ lifetime: '@@timeout@@', callbacks: [ '##url##/callback' ] }, { timeout: 3600, url: 'http://a' }))
+      .to.equal('{"lifetime":3600,"callbacks":["http://a/callback"]}');
+    expect(keywordReplaceObject({ lifetime: '@@timeout:60@@' })).to.equal('{"lifetime":60}');
+  });
+
+  it('should remember the placeholders that were left and the mappings that were not used', () => {
+    const keywords = createKeywords({ url: 'http://a', unused: 'b', urls: { api: 'c' } });
+    expect(keywords.replace('##url## ##TYPO## @@urls.api@@', 'clients/someClient.json')).to.equal('http://a ##TYPO## "c"');
+    expect(keywords.replace('@@JWT_TIMEOUT@@ ##TYPO##', 'rules/someRule.js')).to.equal('@@JWT_TIMEOUT@@ ##TYPO##');
+    expect(keywords.replaceObject({ lifetime: '@@JWT_TIMEOUT@@' }, 'tenant.yaml')).to.equal('{"lifetime":"@@JWT_TIMEOUT@@"}');
+
+    expect(keywords.getUnresolved()).to.deep.equal([
+      { fileName: 'clients/someClient.json', placeholder: '##TYPO##' },
+      { fileName: 'rules/someRule.js', placeholder: '@@JWT_TIMEOUT@@' },
+      { fileName: 'rules/someRule.js', placeholder: '##TYPO##' },
+      { fileName: 'tenant.yaml', placeholder: '@@JWT_TIMEOUT@@' }
+    ]);
+    expect(keywords.getUnusedKeys()).to.deep.equal([ 'unused' ]);
+
+    expect(formatUnresolved(keywords.getUnresolved())).to.equal([
+      '  clients/someClient.json: ##TYPO##',
+      '  rules/someRule.js: @@JWT_TIMEOUT@@, ##TYPO##',
+      '  tenant.yaml: @@JWT_TIMEOUT@@'
+    ].join('\n'));
+  });
+
+  it('should leave the placeholders Auth0 fills in itself', () => {
+    const keywords = createKeywords({});
+    expect(keywords.replace('var config = JSON.parse(decodeURIComponent(escape(window.atob(\'@@config@@\'))));', 'pages/login.html'))
+      .to.equal('var config = JSON.parse(decodeURIComponent(escape(window.atob(\'@@config@@\'))));');
+    expect(keywords.getUnresolved()).to.deep.equal([]);
+
+    expect(createKeywords({ config: 'abc' }).replace('\'@@config@@\'')).to.equal('\'"abc"\'');
+    expect(createKeywords({}).replace('##config##')).to.equal('##config##');
+  });
+
+  it('should leave text that only looks like a placeholder', () => {
+    const keywords = createKeywords({});
+    expect(keywords.replace('## Heading ##\nuser@@example.com and a@@ b@@', 'README.md'))
+      .to.equal('## Heading ##\nuser@@example.com and a@@ b@@');
+    expect(keywords.getUnresolved()).to.deep.equal([]);
+  });
+});
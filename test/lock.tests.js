@@ -0,0 +1,114 @@
+import acquireLock, { INVALID_LOCK_GRACE, STALE_LOCK_AGE, getLockFileName, isStale, readLock, removeLock } from '../src/lock';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkdirp = require('mkdirp');
+
+describe('#lock', () => {
+  const testDataDir = path.resolve('local', 'testData', 'lock');
+  const lockFile = getLockFileName(path.join(testDataDir, 'state'));
+  const owner = { deployId: 'abc', tenant: 'fabrikam-dev.auth0.com', user: 'me', host: os.hostname() };
+
+  const writeLock = lock => fs.writeFileSync(lockFile, JSON.stringify(lock));
+
+  beforeEach(() => {
+    mkdirp.sync(testDataDir);
+    if (fs.existsSync(lockFile)) fs.unlinkSync(lockFile);
+  });
+
+  it('should record who holds the lock and release it', (done) => {
+    acquireLock(lockFile, owner)
+      .then((releaseLock) => {
+        const lock = readLock(lockFile);
+        expect(lock).to.include(owner);
+        expect(lock.pid).to.equal(process.pid);
+        expect(lock.startedAt).to.be.a('string');
+
+        releaseLock();
+        expect(fs.existsSync(lockFile)).to.equal(false);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should fail right away when another deploy holds the lock', (done) => {
+    writeLock({ deployId: 'other', user: 'you', host: os.hostname(), pid: process.ppid, startedAt: new Date().toISOString() });
+
+    acquireLock(lockFile, owner)
+      .then(() => done(new Error('Should not get the lock')))
+      .catch((err) => {
+        expect(err.phase).to.equal('lock');
+        expect(err.message).to.contain('The tenant is locked by deploy other by you on ' + os.hostname());
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should wait for the lock until the timeout', (done) => {
+    writeLock({ deployId: 'other', user: 'you', host: os.hostname(), pid: process.ppid, startedAt: new Date().toISOString() });
+    setTimeout(() => fs.unlinkSync(lockFile), 500);
+
+    acquireLock(lockFile, owner, 5)
+      .then((releaseLock) => {
+        expect(readLock(lockFile).deployId).to.equal('abc');
+        releaseLock();
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should detect stale locks', () => {
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+
+    expect(isStale({ host: os.hostname(), pid: process.pid, startedAt: startedAt }, now)).to.equal(false);
+    expect(isStale({ host: 'elsewhere', pid: 1, startedAt: startedAt }, now)).to.equal(false);
+    expect(isStale({ host: 'elsewhere', pid: 1, startedAt: new Date(now - STALE_LOCK_AGE - 1).toISOString() }, now))
+      .to.equal(true);
+    expect(isStale({ invalid: true, modifiedAt: now }, now)).to.equal(false);
+    expect(isStale({ invalid: true, modifiedAt: now - INVALID_LOCK_GRACE - 1 }, now)).to.equal(true);
+  });
+
+  it('should not take over a lock that is still being written', (done) => {
+    fs.writeFileSync(lockFile, '');
+
+    acquireLock(lockFile, owner)
+      .then(() => done(new Error('Should not get the lock')))
+      .catch((err) => {
+        expect(err.phase).to.equal('lock');
+        expect(err.message).to.contain('The tenant is locked by an unreadable lock');
+        expect(fs.readFileSync(lockFile, 'utf8')).to.equal('');
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should take over a lock that was left unreadable', (done) => {
+    fs.writeFileSync(lockFile, '{ "deployId": "ol');
+    const modifiedAt = new Date(Date.now() - INVALID_LOCK_GRACE - 1000);
+    fs.utimesSync(lockFile, modifiedAt, modifiedAt);
+
+    acquireLock(lockFile, owner)
+      .then((releaseLock) => {
+        expect(readLock(lockFile).deployId).to.equal('abc');
+        releaseLock();
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should take over a stale lock and remove any lock on unlock', (done) => {
+    writeLock({ deployId: 'old', user: 'you', host: 'elsewhere', pid: 1, startedAt: new Date(0).toISOString() });
+
+    acquireLock(lockFile, owner)
+      .then(() => {
+        expect(readLock(lockFile).deployId).to.equal('abc');
+        removeLock(lockFile);
+        expect(readLock(lockFile)).to.equal(null);
+        done();
+      })
+      .catch(done);
+  });
+});
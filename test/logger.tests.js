@@ -0,0 +1,89 @@
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const winston = require('winston');
+const childProcess = require('child_process');
+const logger = require('../src/logger');
+
+const check = function(done, f) {
+  try {
+    f();
+    done();
+  } catch (e) {
+    done(e);
+  }
+};
+
+describe('#logger', () => {
+  const testDataDir = path.resolve('local', 'testData', 'logger');
+  const logFile = path.join(testDataDir, 'deploy.log');
+
+  before(() => {
+    mkdirp.sync(testDataDir);
+    if (fs.existsSync(logFile)) fs.unlinkSync(logFile);
+  });
+
+  after(() => {
+    logger.setContext({ tenant: undefined });
+    logger.configureOutput({});
+  });
+
+  it('should write one JSON object per line with the fields of the run and the resource', (done) => {
+    logger.configureOutput({ format: 'json', file: logFile, quiet: true });
+    logger.setContext({ tenant: 'fabrikam-dev.auth0.com' });
+    logger.info('Updating connection google-oauth2', { type: 'connection', name: 'google-oauth2', action: 'update' });
+    logger.stream.write('From the stream\n');
+
+    setTimeout(() => check(done, () => {
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.length).to.equal(2);
+      expect(lines[0]).to.include({
+        level: 'info',
+        message: 'Updating connection google-oauth2',
+        tenant: 'fabrikam-dev.auth0.com',
+        type: 'connection',
+        name: 'google-oauth2',
+        action: 'update'
+      });
+      expect(lines[0].runId).to.match(/^[0-9a-f]{16}$/);
+      expect(lines[1]).to.include({ message: 'From the stream', runId: lines[0].runId, tenant: 'fabrikam-dev.auth0.com' });
+    }), 100);
+  });
+
+  it('should send the lines of another logger through this one', (done) => {
+    const otherLog = path.join(testDataDir, 'other.log');
+    [ logFile, otherLog ].filter(fileName => fs.existsSync(fileName)).forEach(fileName => fs.unlinkSync(fileName));
+
+    const other = new winston.Logger({ transports: [ new winston.transports.File({ filename: otherLog, json: false }) ] });
+    logger.configureOutput({ format: 'json', file: logFile, quiet: true, verbose: true });
+    logger.forward(other);
+    other.debug('Updating client app {"client_secret":"abc"}');
+    other.info('Deploy finished');
+
+    setTimeout(() => check(done, () => {
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.message)).to.deep.equal([ 'Updating client app {"client_secret":"[REDACTED]"}', 'Deploy finished' ]);
+      expect(lines[0].level).to.equal('debug');
+      expect(fs.existsSync(otherLog)).to.equal(false);
+    }), 100);
+  });
+
+  it('should fail the run on an uncaught exception or unhandled rejection', function() {
+    /* Each crash loads babel in a new process */
+    this.timeout(10000);
+
+    const crash = (code) => {
+      const loadLogger = 'require("babel-register")(); require("./src/logger"); ';
+      return childProcess.spawnSync(process.execPath, [ '-e', loadLogger + code ], { encoding: 'utf8' });
+    };
+
+    const thrown = crash('setTimeout(function() { throw new Error("Boom"); });');
+    expect(thrown.status).to.equal(1);
+    expect(thrown.stderr + thrown.stdout).to.contain('uncaughtException: Error: Boom');
+
+    const rejected = crash('Promise.reject(new Error("Bust"));');
+    expect(rejected.status).to.equal(1);
+    expect(rejected.stderr + rejected.stdout).to.contain('unhandledRejection: Error: Bust');
+  });
+});
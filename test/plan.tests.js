@@ -0,0 +1,259 @@
+import { buildPlan, formatPlan } from '../src/plan';
+import normalizeContext from '../src/normalize';
+import diffFields from '../src/diff';
+import { createContext, createTenant } from './utils';
+
+const expect = require('chai').expect;
+
+describe('#plan', () => {
+  describe('#plan diff', () => {
+    it('should only compare desired fields', () => {
+      expect(diffFields({ a: 1, b: 2 }, { a: 1 })).to.deep.equal([]);
+      expect(diffFields({ a: 1, b: 2 }, { a: 2 })).to.deep.equal([ { field: 'a', from: 1, to: 2 } ]);
+    });
+
+    it('should compare nested objects field by field', () => {
+      expect(diffFields({ jwt: { lifetime: 10, alg: 'RS256' } }, { jwt: { lifetime: 20 } }))
+        .to.deep.equal([ { field: 'jwt.lifetime', from: 10, to: 20 } ]);
+    });
+
+    it('should compare arrays as a whole', () => {
+      expect(diffFields({ callbacks: [ 'a', 'b' ] }, { callbacks: [ 'a' ] }))
+        .to.deep.equal([ { field: 'callbacks', from: [ 'a', 'b' ], to: [ 'a' ] } ]);
+    });
+  });
+
+  describe('#plan rules', () => {
+    it('should create, update, delete and skip rules', () => {
+      const context = createContext({
+        rules: {
+          newRule: { name: 'newRule', script: true, scriptFile: 'function a() {}', metadata: false },
+          changedRule: { name: 'changedRule', script: true, scriptFile: 'function b() {}', metadata: true, metadataFile: '{ "enabled": false }' },
+          manualRule: { name: 'manualRule', script: true, scriptFile: 'function c() {}', metadata: false }
+        }
+      });
+      const tenant = createTenant({
+        rules: [
+          { id: 'rul_1', name: 'changedRule', script: 'function b() {}', enabled: true, order: 1, stage: 'login_success' },
+          { id: 'rul_2', name: 'oldRule', script: 'function d() {}', enabled: true, order: 2, stage: 'login_success' },
+          { id: 'rul_3', name: 'manualRule', script: 'function e() {}', enabled: true, order: 3, stage: 'login_success' }
+        ]
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant, { excludedRules: [ 'manualRule' ] });
+      expect(plan).to.deep.equal([
+        {
+          type: 'rule',
+          name: 'newRule',
+          action: 'create',
+          changes: [
+            { field: 'enabled', from: undefined, to: true },
+            { field: 'script', from: undefined, to: 'function a() {}' }
+          ]
+        },
+        { type: 'rule', name: 'changedRule', action: 'update', changes: [ { field: 'enabled', from: true, to: false } ] },
+        { type: 'rule', name: 'manualRule', action: 'skip', changes: [] },
+        { type: 'rule', name: 'oldRule', action: 'delete', changes: [] }
+      ]);
+    });
+  });
+
+  describe('#plan excluded rules', () => {
+    it('should not delete rules that match an excluded pattern', () => {
+      const tenant = createTenant({
+        rules: [
+          { id: 'rul_1', name: 'team-a-rule', script: 'function a() {}', enabled: true, order: 1, stage: 'login_success' },
+          { id: 'rul_2', name: 'oldRule', script: 'function b() {}', enabled: true, order: 2, stage: 'login_success' }
+        ]
+      });
+
+      const plan = buildPlan(normalizeContext(createContext()), tenant, { excludedRules: [ 'team-a-*' ] });
+      expect(plan).to.deep.equal([
+        { type: 'rule', name: 'oldRule', action: 'delete', changes: [] }
+      ]);
+    });
+  });
+
+  describe('#plan configurables', () => {
+    it('should plan clients, grants and resource servers', () => {
+      const context = createContext({
+        clients: {
+          someClient: { name: 'someClient', configFile: '{ "callbacks": [ "http://b" ] }', metadataFile: '{ "grants": { "https://api": [ "read:a" ] } }' }
+        },
+        resourceServers: {
+          someApi: { name: 'someApi', configFile: '{ "identifier": "https://api" }' }
+        }
+      });
+      const tenant = createTenant({
+        clients: [
+          { client_id: 'global', name: 'someClient', global: true },
+          { client_id: 'abc', name: 'someClient', callbacks: [ 'http://a' ] }
+        ],
+        clientGrants: [
+          { id: 'cgr_1', client_id: 'abc', audience: 'https://api', scope: [ 'read:a' ] }
+        ],
+        resourceServers: [
+          { id: 'rs_1', name: 'someApi', identifier: 'https://api' }
+        ]
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant);
+      expect(plan).to.deep.equal([
+        { type: 'client', name: 'someClient', action: 'update', changes: [ { field: 'callbacks', from: [ 'http://a' ], to: [ 'http://b' ] } ] },
+        { type: 'clientGrant', name: 'someClient (https://api)', action: 'unchanged', changes: [] },
+        { type: 'resourceServer', name: 'someApi', action: 'unchanged', changes: [] }
+      ]);
+    });
+  });
+
+  describe('#plan connections', () => {
+    it('should remove scripts that are not in the repository', () => {
+      const context = createContext({
+        databases: [
+          { name: 'db1', scripts: { login: { name: 'login', scriptFile: 'function login() {}' } } }
+        ]
+      });
+      const tenant = createTenant({
+        connections: [
+          { id: 'con_1', name: 'db1', options: { customScripts: { login: 'function login() {}', get_user: 'function get_user() {}' } } }
+        ]
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant);
+      expect(plan).to.deep.equal([
+        {
+          type: 'connection',
+          name: 'db1',
+          action: 'update',
+          changes: [ { field: 'options.customScripts.get_user', from: 'function get_user() {}', to: undefined } ]
+        }
+      ]);
+    });
+
+    it('should fail for databases that do not exist', () => {
+      const context = createContext({
+        databases: [ { name: 'db1', scripts: {} } ]
+      });
+
+      expect(() => buildPlan(normalizeContext(context), createTenant()))
+        .to.throw('The following database does not exist in the Auth0 tenant: db1');
+    });
+  });
+
+  describe('#plan non-database connections', () => {
+    it('should create and update connections with the client names resolved', () => {
+      const context = createContext({
+        connections: {
+          'google-oauth2': { name: 'google-oauth2', configFile: '{ "strategy": "google-oauth2", "enabled_clients": [ "someClient" ] }' },
+          email: { name: 'email', configFile: '{ "strategy": "email" }' }
+        }
+      });
+      const tenant = createTenant({
+        clients: [ { client_id: 'abc', name: 'someClient' } ],
+        connections: [ { id: 'con_1', name: 'google-oauth2', strategy: 'google-oauth2', enabled_clients: [] } ]
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant);
+      expect(plan).to.deep.equal([
+        { type: 'connection', name: 'google-oauth2', action: 'update', changes: [ { field: 'enabled_clients', from: [], to: [ 'abc' ] } ] },
+        { type: 'connection', name: 'email', action: 'create', changes: [ { field: 'strategy', from: undefined, to: 'email' } ] }
+      ]);
+    });
+
+    it('should fail when the strategy changes', () => {
+      const context = createContext({
+        connections: {
+          corporate: { name: 'corporate', configFile: '{ "strategy": "waad" }' }
+        }
+      });
+      const tenant = createTenant({
+        connections: [ { id: 'con_1', name: 'corporate', strategy: 'samlp' } ]
+      });
+
+      expect(() => buildPlan(normalizeContext(context), tenant))
+        .to.throw('The connection corporate already exists with the strategy samlp, it can not be changed to waad');
+    });
+  });
+
+  describe('#plan emails', () => {
+    it('should plan email templates and ignore provider credentials', () => {
+      const context = createContext({
+        emailTemplates: {
+          verify_email: { name: 'verify_email', htmlFile: '<html>new</html>', metadata: true, metadataFile: '{ "from": "me@example.com" }' }
+        },
+        emailProviders: {
+          default: { name: 'default', configFile: '{ "name": "smtp", "credentials": { "smtp_pass": "secret" } }' }
+        }
+      });
+      const tenant = createTenant({
+        emailTemplates: [ { template: 'verify_email', body: '<html>old</html>', from: 'me@example.com' } ],
+        emailProvider: { name: 'smtp' }
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant);
+      expect(plan).to.deep.equal([
+        {
+          type: 'emailTemplate',
+          name: 'verify_email',
+          action: 'update',
+          changes: [ { field: 'body', from: '<html>old</html>', to: '<html>new</html>' } ]
+        },
+        { type: 'emailProvider', name: 'default', action: 'unchanged', changes: [] }
+      ]);
+    });
+  });
+
+  describe('#plan tenant settings', () => {
+    it('should only compare the settings in the file', () => {
+      const context = createContext({
+        tenant: {
+          settings: { name: 'settings', configFile: '{ "friendly_name": "New Name", "flags": { "enable_apis_section": true } }' }
+        }
+      });
+      const tenant = createTenant({
+        settings: { friendly_name: 'Old Name', support_url: 'https://support', flags: { enable_apis_section: true, enable_pipeline2: false } }
+      });
+
+      const plan = buildPlan(normalizeContext(context), tenant);
+      expect(plan).to.deep.equal([
+        { type: 'tenant', name: 'settings', action: 'update', changes: [ { field: 'friendly_name', from: 'Old Name', to: 'New Name' } ] }
+      ]);
+    });
+  });
+
+  describe('#plan format', () => {
+    it('should only list changes', () => {
+      const text = formatPlan([
+        { type: 'rule', name: 'someRule', action: 'update', changes: [ { field: 'enabled', from: true, to: false } ] },
+        { type: 'client', name: 'someClient', action: 'unchanged', changes: [] }
+      ]);
+
+      expect(text).to.equal('Rules:\n' +
+        '  ~ update someRule\n' +
+        '      enabled: true => false\n' +
+        '\n' +
+        'Plan: 0 to create, 1 to update, 0 to delete, 1 unchanged, 0 skipped.\n');
+    });
+
+    it('should mask the secrets that change', () => {
+      const text = formatPlan([
+        { type: 'client', name: 'someClient', action: 'update', changes: [ { field: 'client_secret', from: 'old-s3cret', to: 'new-s3cret' } ] },
+        {
+          type: 'connection',
+          name: 'google',
+          action: 'update',
+          changes: [
+            { field: 'options.client_secret', from: undefined, to: 'new-s3cret' },
+            { field: 'options.upstream_params', from: undefined, to: { api_key: 'k3y', scope: 'email' } }
+          ]
+        }
+      ]);
+
+      expect(text).to.not.contain('s3cret');
+      expect(text).to.not.contain('k3y');
+      expect(text).to.contain('client_secret: "[REDACTED]" => "[REDACTED]"');
+      expect(text).to.contain('options.client_secret: (not set) => "[REDACTED]"');
+      expect(text).to.contain('options.upstream_params: (not set) => {"api_key":"[REDACTED]","scope":"email"}');
+    });
+  });
+});
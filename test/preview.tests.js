@@ -0,0 +1,111 @@
+import Liquid from 'liquidjs';
+import { checkTemplateMetadata, formatPreviews, previewEmails, renderTemplate, writePreviews } from '../src/preview';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const rmdirSync = require('rmdir-sync');
+
+const template = (name, body, metadata) => Object.assign({
+  template: name,
+  body: body,
+  from: 'Fabrikam <no-reply@fabrikam.com>',
+  subject: 'Welcome to {{ application.name }}',
+  resultUrl: 'https://app.fabrikam.com',
+  syntax: 'liquid'
+}, metadata);
+
+describe('#preview', () => {
+  const fixtures = {
+    user: { email: 'jane@fabrikam.com', name: 'Jane' },
+    application: { name: 'Fabrikam' },
+    templates: {
+      verify_email: { url: 'https://fabrikam.auth0.com/verify?ticket=abc' }
+    }
+  };
+
+  it('should render a template and list the variables that are not in the sample data', (done) => {
+    const engine = Liquid({ strict_filters: true });
+    const body = '{% assign greeting = "Hi" %}{{ greeting }} {{ user.name }}{{ user.nickname }}\n' +
+      '{% for email in user.emails %}{{ email }}{% endfor %}{% if tenant %}{{ tenant }}{% endif %}';
+
+    renderTemplate(engine, body, fixtures)
+      .then((rendered) => {
+        expect(rendered).to.deep.equal({ output: 'Hi Jane\n', unknown: [ 'user.nickname', 'user.emails', 'tenant' ], error: null });
+        return renderTemplate(engine, '<p>\n{% if user.name %}\n{{ user.name }}\n</p>', fixtures);
+      })
+      .then((rendered) => {
+        expect(rendered).to.deep.equal({ output: null, unknown: [], error: { line: 2, message: 'tag {% if user.name %} not closed' } });
+        return renderTemplate(engine, '{{ user.name | shout }}', fixtures);
+      })
+      .then((rendered) => {
+        expect(rendered.error.message).to.match(/undefined filter: shout/);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should check the metadata', () => {
+    expect(checkTemplateMetadata(template('welcome_email', ''))).to.deep.equal([]);
+    expect(checkTemplateMetadata({ template: 'welcome_email', syntax: 'handlebars' })).to.deep.equal([
+      'metadata: from is not set',
+      'metadata: resultUrl is not set',
+      'metadata: syntax must be liquid, not handlebars'
+    ]);
+  });
+
+  it('should render every template with the data of the template', (done) => {
+    previewEmails({
+      verify_email: template('verify_email', '<a href="{{ url }}">Verify {{ user.email }}</a>'),
+      welcome_email: template('welcome_email', '<p>Welcome {{ user.name }}, {{ url }}</p>', { resultUrl: undefined }),
+      reset_email: template('reset_email', '{% if user.name %}', { subject: 'Reset {{ user.nam }}' }),
+      blocked_account: template('blocked_account', undefined)
+    }, fixtures)
+      .then((previews) => {
+        expect(previews).to.deep.equal([
+          { name: 'blocked_account', subject: 'Welcome to Fabrikam', html: null, problems: [ 'body: there is no html file' ] },
+          {
+            name: 'reset_email',
+            subject: 'Reset ',
+            html: null,
+            problems: [ 'subject: unknown variable user.nam', 'body line 1: tag {% if user.name %} not closed' ]
+          },
+          {
+            name: 'verify_email',
+            subject: 'Welcome to Fabrikam',
+            html: '<a href="https://fabrikam.auth0.com/verify?ticket=abc">Verify jane@fabrikam.com</a>',
+            problems: []
+          },
+          {
+            name: 'welcome_email',
+            subject: 'Welcome to Fabrikam',
+            html: '<p>Welcome Jane, </p>',
+            problems: [ 'metadata: resultUrl is not set', 'body: unknown variable url' ]
+          }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should write the rendered templates and list the problems', () => {
+    const outputFolder = path.resolve('local', 'testData', 'preview');
+    if (fs.existsSync(outputFolder)) rmdirSync(outputFolder);
+
+    const previews = writePreviews([
+      { name: 'verify_email', subject: 'Verify your email', html: '<p>Verify</p>', problems: [] },
+      { name: 'reset_email', subject: null, html: null, problems: [ 'subject line 1: tag {% if %} not closed' ] }
+    ], outputFolder);
+
+    expect(fs.readdirSync(outputFolder)).to.deep.equal([ 'verify_email.html' ]);
+    expect(fs.readFileSync(path.join(outputFolder, 'verify_email.html'), 'utf8')).to.equal('<p>Verify</p>');
+    expect(formatPreviews(previews)).to.equal([
+      'verify_email: "Verify your email" => ' + path.join(outputFolder, 'verify_email.html'),
+      'reset_email: (the subject could not be rendered)',
+      '    subject line 1: tag {% if %} not closed',
+      'Emails: 2 template(s), 1 with problems.',
+      ''
+    ].join('\n'));
+    expect(formatPreviews([])).to.equal('There are no email templates.\n');
+  });
+});
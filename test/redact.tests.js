@@ -0,0 +1,76 @@
+import { REDACTED, addSecret, addSensitiveValues, clearSecrets, isSensitiveField, redactObject, redactText } from '../src/redact';
+
+const expect = require('chai').expect;
+
+describe('#redact', () => {
+  afterEach(() => clearSecrets());
+
+  it('should redact sensitive fields in JSON, also in files of a stringified context', () => {
+    const provider = JSON.stringify({ name: 'smtp', credentials: { smtp_user: 'me', smtp_pass: 'p\\a"ss' } });
+    const context = JSON.stringify({
+      emailProvider: { configFile: provider },
+      clients: { app: { configFile: JSON.stringify({ name: 'app', client_secret: 'abc\\' }) } },
+      rules: { rule: { script: 'function () { var api_key = 1; }' } },
+      password: 12345
+    });
+
+    const redacted = JSON.parse(redactText(context));
+    expect(JSON.parse(redacted.emailProvider.configFile)).to.deep.equal({ name: 'smtp', credentials: REDACTED });
+    expect(JSON.parse(redacted.clients.app.configFile)).to.deep.equal({ name: 'app', client_secret: REDACTED });
+    expect(redacted.rules.rule.script).to.equal('function () { var api_key = 1; }');
+    expect(redacted.password).to.equal(REDACTED);
+  });
+
+  it('should redact the secrets wherever they show up', () => {
+    addSecret('s3cr"t');
+    addSecret('abc');
+
+    expect(redactText('Couldn\'t log in with s3cr"t')).to.equal('Couldn\'t log in with ' + REDACTED);
+    expect(redactText(JSON.stringify(JSON.stringify({ smtp: 's3cr"t' })))).to.not.contain('s3cr');
+    expect(redactText('abc is too short to redact')).to.equal('abc is too short to redact');
+  });
+
+  it('should redact the metadata and errors', () => {
+    addSecret('s3cret');
+
+    const redacted = redactObject({ api_key: 'key', nested: [ { password: 'pass', user: 'me' } ], error: new Error('s3cret') });
+    expect(redacted.api_key).to.equal(REDACTED);
+    expect(redacted.nested).to.deep.equal([ { password: REDACTED, user: 'me' } ]);
+    expect(redacted.error.message).to.equal(REDACTED);
+    expect(redacted.error.stack).to.not.contain('s3cret');
+  });
+
+  it('should redact any field that looks like a secret', () => {
+    [ 'client_secret', 'SMTP_PASSWORD', 'smtp_pass', 'api_key', 'AUTH0_SECRETS_KEY', 'apiKey', 'refresh_token', 'credentials' ]
+      .forEach(name => expect(isSensitiveField(name), name).to.equal(true));
+    [ 'clientSecret', 'x-api-key', 'private_key', 'id_token', 'TOKEN', 'secret' ]
+      .forEach(name => expect(isSensitiveField(name), name).to.equal(true));
+    [ 'token_endpoint_auth_method', 'keywords', 'name' ].forEach(name => expect(isSensitiveField(name), name).to.equal(false));
+  });
+
+  it('should not redact fields that only contain a secret word', () => {
+    [ 'monkey', 'hotkey', 'signing_keys', 'tokens', 'passwordPolicy', 'password_history', 'password_complexity_options',
+      'password_dictionary', 'password_no_personal_info', 'bypass', 'secretary', 'passwordless' ]
+      .forEach(name => expect(isSensitiveField(name), name).to.equal(false));
+
+    const options = { passwordPolicy: 'good', password_history: { enable: true, size: 5 }, signing_keys: [ { kid: 'k1' } ] };
+    expect(JSON.parse(redactText(JSON.stringify({ options: options })))).to.deep.equal({ options: options });
+    expect(redactObject({ monkey: 'banana', tokens: 3 })).to.deep.equal({ monkey: 'banana', tokens: 3 });
+
+    const redacted = JSON.parse(redactText(JSON.stringify({ options: { tenant_api_key: 'k3y', client_secret_b: 'x' }, name: 'a' })));
+    expect(redacted).to.deep.equal({ options: { tenant_api_key: REDACTED, client_secret_b: REDACTED }, name: 'a' });
+  });
+
+  it('should redact the sensitive keyword mappings in a logged context', () => {
+    addSensitiveValues({ SMTP_PASSWORD: 'hunter22', SMTP_HOST: 'smtp.fabrikam.com', nested: { GOOGLE_CLIENT_SECRET: 'g00gle' } });
+
+    const context = {
+      emailProvider: { configFile: JSON.stringify({ name: 'smtp', settings: { host: 'smtp.fabrikam.com', pw: 'hunter22' } }) },
+      clients: { app: { configFile: JSON.stringify({ name: 'app', jwt: 'g00gle' }) } }
+    };
+    const logged = redactText('Context: ' + JSON.stringify(context));
+    expect(logged).to.not.contain('hunter22');
+    expect(logged).to.not.contain('g00gle');
+    expect(logged).to.contain('smtp.fabrikam.com');
+  });
+});
@@ -0,0 +1,111 @@
+import { EXIT_CODES, combineReports, createReport, getExitCode, markPhase } from '../src/report';
+
+const expect = require('chai').expect;
+const ValidationError = require('auth0-extension-tools').ValidationError;
+
+const failIn = (phase, err) => {
+  try {
+    markPhase(phase)(err);
+  } catch (e) {
+    return e;
+  }
+
+  return null;
+};
+
+describe('#report', () => {
+  it('should pick the exit code from the error', () => {
+    const statusError = new Error('Unauthorized');
+    statusError.statusCode = 401;
+
+    expect(getExitCode(new ValidationError('bad'))).to.equal(EXIT_CODES.VALIDATION_ERROR);
+    expect(getExitCode(failIn('validation', new Error('bad')))).to.equal(EXIT_CODES.VALIDATION_ERROR);
+    expect(getExitCode(failIn('authentication', new Error('bad')))).to.equal(EXIT_CODES.AUTHENTICATION_ERROR);
+    expect(getExitCode(failIn('deploy', statusError))).to.equal(EXIT_CODES.AUTHENTICATION_ERROR);
+    expect(getExitCode(failIn('deploy', new Error('bad')))).to.equal(EXIT_CODES.DEPLOY_ERROR);
+    expect(getExitCode(failIn('deploy', new ValidationError('bad')))).to.equal(EXIT_CODES.DEPLOY_ERROR);
+    expect(getExitCode(failIn('deploy', failIn('validation', new ValidationError('bad'))))).to.equal(EXIT_CODES.VALIDATION_ERROR);
+    expect(getExitCode(failIn('lock', new Error('bad')))).to.equal(EXIT_CODES.LOCKED);
+    expect(getExitCode(failIn('drift', new Error('bad')))).to.equal(EXIT_CODES.DRIFT);
+    expect(getExitCode(failIn('test', new Error('bad')))).to.equal(EXIT_CODES.TESTS_FAILED);
+    expect(getExitCode(new Error('bad'))).to.equal(EXIT_CODES.INTERNAL_ERROR);
+  });
+
+  it('should keep the phase where the error happened first', () => {
+    const err = failIn('deploy', failIn('authentication', new Error('bad')));
+    expect(err.phase).to.equal('authentication');
+  });
+
+  it('should list the resources with what happened to them', () => {
+    const report = createReport({
+      startedAt: new Date('2018-01-01T00:00:00.000Z'),
+      finishedAt: new Date('2018-01-01T00:00:02.500Z'),
+      tenant: 'tenant.auth0.com',
+      deployId: '3f2c9a1b8d7e6f50',
+      progress: { id: 'me', user: 'me', sha: 'now', branch: 'host', repository: 'Auth0 Deploy CLI', logs: [] },
+      summary: { rules: { created: 1, updated: 0, deleted: 1 } },
+      plan: [
+        { type: 'rule', name: 'newRule', action: 'create', changes: [] },
+        { type: 'rule', name: 'oldRule', action: 'delete', changes: [] },
+        { type: 'rule', name: 'manualRule', action: 'skip', changes: [] },
+        { type: 'client', name: 'someClient', action: 'unchanged', changes: [] }
+      ]
+    });
+
+    expect(report).to.deep.equal({
+      status: 'succeeded',
+      dryRun: false,
+      environment: null,
+      deployId: '3f2c9a1b8d7e6f50',
+      tenant: 'tenant.auth0.com',
+      startedAt: '2018-01-01T00:00:00.000Z',
+      finishedAt: '2018-01-01T00:00:02.500Z',
+      duration: 2500,
+      progress: { id: 'me', user: 'me', sha: 'now', branch: 'host', repository: 'Auth0 Deploy CLI' },
+      summary: { rules: { created: 1, updated: 0, deleted: 1 } },
+      resources: [
+        { type: 'rule', name: 'newRule', action: 'created', applied: true },
+        { type: 'rule', name: 'oldRule', action: 'deleted', applied: true },
+        { type: 'rule', name: 'manualRule', action: 'skipped', applied: true },
+        { type: 'client', name: 'someClient', action: 'unchanged', applied: true }
+      ],
+      error: null
+    });
+  });
+
+  it('should report a failure with its exit code', () => {
+    const report = createReport({
+      startedAt: new Date(),
+      tenant: 'tenant.auth0.com',
+      error: failIn('deploy', new Error('Rate limited'))
+    });
+
+    expect(report.status).to.equal('failed');
+    expect(report.resources).to.deep.equal([]);
+    expect(report.error).to.deep.equal({ message: 'Rate limited', exitCode: EXIT_CODES.DEPLOY_ERROR });
+  });
+
+  it('should list the resources of a failed deploy or a dry run as not applied', () => {
+    const plan = [
+      { type: 'rule', name: 'newRule', action: 'create', changes: [] },
+      { type: 'client', name: 'someClient', action: 'unchanged', changes: [] }
+    ];
+    const expected = [
+      { type: 'rule', name: 'newRule', action: 'create', applied: false },
+      { type: 'client', name: 'someClient', action: 'unchanged', applied: false }
+    ];
+
+    const failed = createReport({ startedAt: new Date(), tenant: 'tenant.auth0.com', plan: plan, error: failIn('deploy', new Error('bad')) });
+    const dryRun = createReport({ startedAt: new Date(), tenant: 'tenant.auth0.com', plan: plan, dryRun: true });
+    expect(failed.resources).to.deep.equal(expected);
+    expect(dryRun.resources).to.deep.equal(expected);
+  });
+
+  it('should fail the combined report when one environment failed', () => {
+    const succeeded = createReport({ startedAt: new Date(), environment: 'dev', tenant: 'dev.auth0.com' });
+    const failed = createReport({ startedAt: new Date(), environment: 'prod', tenant: 'prod.auth0.com', error: new Error('bad') });
+
+    expect(combineReports([ succeeded ])).to.deep.equal({ status: 'succeeded', environments: [ succeeded ] });
+    expect(combineReports([ succeeded, failed ])).to.deep.equal({ status: 'failed', environments: [ succeeded, failed ] });
+  });
+});
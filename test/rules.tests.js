@@ -0,0 +1,95 @@
+import prepareRuleOrder, { checkRules, findOrderConflicts, splitManualRules } from '../src/rules';
+import { createClient } from './utils';
+
+const expect = require('chai').expect;
+
+const createRule = (name, metadata) => ({
+  name: name,
+  script: true,
+  scriptFile: 'function ' + name + '() { }',
+  metadata: !!metadata,
+  metadataFile: metadata ? JSON.stringify(metadata) : undefined
+});
+
+describe('#rules', () => {
+  it('should split off manual rules', () => {
+    const rules = {
+      someRule: createRule('someRule', { order: 1 }),
+      manualRule: { name: 'manualRule', script: false, metadata: true, metadataFile: '{ "manual": true }' }
+    };
+
+    expect(splitManualRules(rules)).to.deep.equal({
+      rules: { someRule: rules.someRule },
+      manualRules: [ 'manualRule' ]
+    });
+  });
+
+  it('should report metadata without a script and duplicate orders', () => {
+    expect(checkRules({
+      a: createRule('a', { order: 1 }),
+      b: createRule('b', { order: 1 }),
+      c: createRule('c', { order: 1, stage: 'login_failure' }),
+      d: { name: 'd', script: false, metadata: true, metadataFile: '{ "enabled": false }' }
+    })).to.deep.equal([
+      'The following rules have metadata files, but have no script files: d. Add the script, or mark the rule as manual.',
+      'There are multiple rules with the same order: login_success order 1 (a, b).'
+    ]);
+  });
+
+  it('should move rules out of the way before they swap orders', (done) => {
+    const client = createClient({
+      rules: [
+        { id: 'rul_1', name: 'a', stage: 'login_success', order: 1 },
+        { id: 'rul_2', name: 'b', stage: 'login_success', order: 2 },
+        { id: 'rul_3', name: 'c', stage: 'login_success', order: 3 }
+      ]
+    });
+
+    prepareRuleOrder(client, {
+      a: createRule('a', { order: 2 }),
+      b: createRule('b', { order: 1 }),
+      c: createRule('c', { order: 4 })
+    }, [])
+      .then((moved) => {
+        expect(moved).to.deep.equal([ 'a', 'b' ]);
+        expect(client.calls).to.deep.equal([
+          { method: 'rules.update', params: { id: 'rul_1' }, data: { order: 5 } },
+          { method: 'rules.update', params: { id: 'rul_2' }, data: { order: 6 } }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should report the orders a manual or excluded rule has in the tenant', () => {
+    const existingRules = [
+      { id: 'rul_1', name: 'manual', stage: 'login_success', order: 1 },
+      { id: 'rul_2', name: 'excluded', stage: 'login_success', order: 2 },
+      { id: 'rul_3', name: 'a', stage: 'login_success', order: 3 }
+    ];
+    const rules = {
+      a: createRule('a', { order: 1 }),
+      b: createRule('b', { order: 2, stage: 'login_failure' }),
+      c: createRule('c', { order: 3 })
+    };
+
+    expect(findOrderConflicts(rules, existingRules, [ 'manual', 'excl*' ])).to.deep.equal([
+      'The rule a wants the order 1 in login_success, but the manual or excluded rule manual has it in the tenant.'
+    ]);
+    expect(findOrderConflicts(rules, existingRules, [])).to.deep.equal([]);
+  });
+
+  it('should not move excluded rules', (done) => {
+    const client = createClient({
+      rules: [ { id: 'rul_1', name: 'a', stage: 'login_success', order: 1 } ]
+    });
+
+    prepareRuleOrder(client, { a: createRule('a'), b: createRule('b', { order: 1 }) }, [ 'a' ])
+      .then((moved) => {
+        expect(moved).to.deep.equal([]);
+        expect(client.calls).to.deep.equal([]);
+        done();
+      })
+      .catch(done);
+  });
+});
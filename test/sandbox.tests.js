@@ -0,0 +1,40 @@
+import { UnauthorizedError, callScript, compileScript, createSandbox } from '../src/sandbox';
+
+const expect = require('chai').expect;
+
+describe('#sandbox', () => {
+  it('should compile an anonymous function with the globals of the sandbox', () => {
+    const sandbox = createSandbox({ configuration: { GREETING: 'hello' } });
+    const fn = compileScript('function (name, callback) {\n  callback(null, configuration.GREETING + " " + name);\n}', 'greet.js', sandbox);
+
+    expect(fn).to.be.a('function');
+    expect(sandbox.UnauthorizedError).to.equal(UnauthorizedError);
+  });
+
+  it('should resolve with the arguments of the callback', (done) => {
+    const fn = compileScript('function (name, callback) { setTimeout(function() { callback(null, "hello " + name); }, 1); }',
+      'greet.js', createSandbox({}));
+
+    callScript(fn, [ 'world' ])
+      .then((result) => {
+        expect(result).to.deep.equal([ null, 'hello world' ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should resolve with the error of a script that throws or never calls back', (done) => {
+    const sandbox = createSandbox({});
+
+    callScript(compileScript('function (callback) { throw new Error("broken"); }', 'throws.js', sandbox), [])
+      .then((result) => {
+        expect(result[0].message).to.equal('broken');
+        return callScript(compileScript('function (callback) { }', 'hangs.js', sandbox), [], 20);
+      })
+      .then((result) => {
+        expect(result[0].message).to.equal('The script did not call the callback within 0.02s');
+        done();
+      })
+      .catch(done);
+  });
+});
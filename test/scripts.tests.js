@@ -0,0 +1,69 @@
+import { checkScript, findScriptProblems } from '../src/scripts';
+
+const expect = require('chai').expect;
+const path = require('path');
+
+describe('#scripts', () => {
+  it('should accept a single function with the expected arguments', () => {
+    expect(checkScript('function (user, context, callback) {\n  callback(null, user, context);\n}\n', 'rule')).to.equal(null);
+    expect(checkScript('function someRule(user, context, cb) { cb(null, user, context); }', 'rule')).to.equal(null);
+    expect(checkScript('// Log in\nfunction login(email, password, callback) { callback(); }', 'login')).to.equal(null);
+    expect(checkScript('async function (user, context, callback) { callback(null, user, context); }', 'rule')).to.equal(null);
+    expect(checkScript('function getUser(email, callback) { callback(); }', 'get_user')).to.equal(null);
+  });
+
+  it('should accept a semicolon after the function and recent syntax', () => {
+    expect(checkScript('function rule(user, context, callback) {\n  callback(null, user, context);\n};\n', 'rule')).to.equal(null);
+    expect(checkScript('function (user, context, callback) {\n  callback(null, user, context);\n};\n', 'rule')).to.equal(null);
+    expect(checkScript('function (user, context, callback) {\n  try { JSON.parse(user.name); } catch { }\n' +
+      '  callback(null, user?.app_metadata ?? {}, context);\n}', 'rule')).to.equal(null);
+  });
+
+  it('should report syntax errors with the line and column', () => {
+    expect(checkScript('function (user, context, callback) {\n  if (user {\n  }\n}', 'rule'))
+      .to.include({ line: 2, column: 12, message: 'Unexpected token' });
+    expect(checkScript('function (user, context, callback) {\n  callback(null, user, context);\n', 'rule'))
+      .to.include({ line: 3, column: 1, message: 'Unexpected end of the script' });
+    expect(checkScript('function login(email, password, callback) { var a = ; }', 'login'))
+      .to.include({ line: 1, column: 53, message: 'Unexpected token' });
+  });
+
+  it('should report a script that is not a single function', () => {
+    expect(checkScript('function a(user, context, callback) {}\nfunction b(user, context, callback) {}', 'rule'))
+      .to.include({ message: 'The script must be a single function' });
+    expect(checkScript('var a = 1;', 'rule')).to.include({ message: 'The script must be a single function' });
+  });
+
+  it('should report a function with the wrong arguments', () => {
+    expect(checkScript('function (user, callback) {\n  callback(null, user);\n}', 'rule')).to.deep.equal({
+      line: 1,
+      column: 1,
+      message: 'The rule script must be a function (user, context, callback), but it is a function (user, callback)'
+    });
+    expect(checkScript('function login(email, callback) { }', 'login'))
+      .to.include({ message: 'The login script must be a function (email, password, callback), but it is a function (email, callback)' });
+  });
+
+  it('should list the problems of the rules and database scripts by file', () => {
+    const repoDir = path.join('local', 'testData', 'scripts');
+    const problems = findScriptProblems(repoDir, {
+      goodRule: { name: 'goodRule', script: true, scriptFile: 'function (user, context, callback) { }' },
+      badRule: { name: 'badRule', script: true, scriptFile: 'function (user, context, callback) {' },
+      metadataOnly: { name: 'metadataOnly', script: false }
+    }, [
+      {
+        name: 'users',
+        scripts: {
+          login: { name: 'login', scriptFile: 'function login(email, callback) { }' },
+          get_user: { name: 'get_user', scriptFile: 'function getUser(email, callback) { }' }
+        }
+      }
+    ]);
+
+    expect(problems).to.deep.equal([
+      path.join(repoDir, 'rules', 'badRule.js') + ':1:37: Unexpected end of the script',
+      path.join(repoDir, 'database-connections', 'users', 'login.js') + ':1:1: The login script must be a function ' +
+        '(email, password, callback), but it is a function (email, callback)'
+    ]);
+  });
+});
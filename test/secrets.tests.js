@@ -0,0 +1,81 @@
+import { createSecretResolver, decryptSecrets, encryptSecrets, findSecretErrors, isSecretReference } from '../src/secrets';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+
+describe('#secrets', () => {
+  const testDataDir = path.resolve('local', 'testData', 'secrets');
+  const secretFile = path.join(testDataDir, 'smtp');
+  const secretsFile = path.join(testDataDir, 'secrets.json');
+
+  before(() => {
+    mkdirp.sync(testDataDir);
+    fs.writeFileSync(secretFile, 'from a file\n');
+    fs.writeFileSync(secretsFile, JSON.stringify(encryptSecrets({ google: 'from the secrets file' }, 'password')));
+    process.env.AUTH0_DEPLOY_TEST_SECRET = 'from the environment';
+  });
+
+  after(() => {
+    delete process.env.AUTH0_DEPLOY_TEST_SECRET;
+  });
+
+  const createResolver = settings => createSecretResolver(key => settings[key]);
+
+  it('should recognize references', () => {
+    expect(isSecretReference('env:SMTP_PASS')).to.equal(true);
+    expect(isSecretReference('file:/run/secrets/smtp')).to.equal(true);
+    expect(isSecretReference('secret:smtp')).to.equal(true);
+    expect(isSecretReference('https://fabrikam.com')).to.equal(false);
+    expect(isSecretReference(3600)).to.equal(false);
+  });
+
+  it('should encrypt and decrypt the secrets', () => {
+    const encrypted = encryptSecrets({ smtp: 'pass' }, 'password');
+    expect(encrypted.data).to.not.contain('pass');
+    expect(decryptSecrets(encrypted, 'password')).to.deep.equal({ smtp: 'pass' });
+    expect(() => decryptSecrets(encrypted, 'wrong'))
+      .to.throw('the secrets file could not be decrypted, check AUTH0_SECRETS_KEY');
+  });
+
+  it('should resolve references in settings and keyword mappings', () => {
+    const resolveSetting = createResolver({
+      AUTH0_CLIENT_SECRET: 'env:AUTH0_DEPLOY_TEST_SECRET',
+      AUTH0_SECRETS_FILE: secretsFile,
+      AUTH0_SECRETS_KEY: 'password',
+      AUTH0_KEYWORD_REPLACE_MAPPINGS: {
+        SMTP_PASS: 'file:' + secretFile,
+        GOOGLE_SECRET: 'secret:google',
+        URLS: [ 'https://fabrikam.com', 'env:AUTH0_DEPLOY_TEST_SECRET' ]
+      }
+    });
+
+    expect(resolveSetting('AUTH0_CLIENT_SECRET')).to.equal('from the environment');
+    expect(resolveSetting('AUTH0_KEYWORD_REPLACE_MAPPINGS')).to.deep.equal({
+      SMTP_PASS: 'from a file',
+      GOOGLE_SECRET: 'from the secrets file',
+      URLS: [ 'https://fabrikam.com', 'from the environment' ]
+    });
+    expect(resolveSetting('AUTH0_DOMAIN')).to.equal(undefined);
+  });
+
+  it('should report every reference that can not be resolved', () => {
+    const resolveSetting = createResolver({
+      AUTH0_CLIENT_SECRET: 'env:AUTH0_DEPLOY_TEST_MISSING',
+      AUTH0_KEYWORD_REPLACE_MAPPINGS: {
+        SMTP_PASS: 'file:' + path.join(testDataDir, 'missing'),
+        GOOGLE_SECRET: 'secret:google'
+      }
+    });
+
+    expect(() => resolveSetting('AUTH0_CLIENT_SECRET')).to.throw('Couldn\'t resolve env:AUTH0_DEPLOY_TEST_MISSING ' +
+      'for AUTH0_CLIENT_SECRET because: the environment variable AUTH0_DEPLOY_TEST_MISSING is not set');
+
+    const errors = findSecretErrors(resolveSetting, [ 'AUTH0_CLIENT_SECRET', 'AUTH0_KEYWORD_REPLACE_MAPPINGS' ]);
+    expect(errors.length).to.equal(3);
+    expect(errors[1]).to.contain('for AUTH0_KEYWORD_REPLACE_MAPPINGS.SMTP_PASS because: ENOENT');
+    expect(errors[2]).to.equal('Couldn\'t resolve secret:google for AUTH0_KEYWORD_REPLACE_MAPPINGS.GOOGLE_SECRET ' +
+      'because: AUTH0_SECRETS_FILE is not set');
+  });
+});
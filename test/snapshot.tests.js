@@ -0,0 +1,189 @@
+import rollback, { MAX_SNAPSHOTS, findSnapshot, saveSnapshot, takeSnapshot } from '../src/snapshot';
+import { createClient } from './utils';
+
+const expect = require('chai').expect;
+
+const createStorage = (snapshots) => {
+  const storage = {
+    snapshots: snapshots,
+    readSnapshots: () => Promise.resolve(storage.snapshots),
+    writeSnapshots: (value) => {
+      storage.snapshots = value;
+    }
+  };
+  return storage;
+};
+
+describe('#snapshot', () => {
+  const desired = {
+    clientGrants: { 'app-api': { client: 'app', audience: 'https://api', scope: [ 'read:all' ] } }
+  };
+
+  const before = {
+    rules: [
+      { id: 'rul_1', name: 'changed', script: 'old', enabled: true, order: 1, stage: 'login_success' },
+      { id: 'rul_2', name: 'removed', script: 'removed', enabled: true, order: 2, stage: 'login_success' }
+    ],
+    clients: [
+      { client_id: 'global', name: 'All Applications', global: true, custom_login_page: 'old', custom_login_page_on: true },
+      { client_id: 'app_1', name: 'app', tenant: 'fabrikam', callbacks: [ 'http://old' ], client_secret: 'app-s3cret' }
+    ],
+    clientGrants: [],
+    connections: [ { id: 'con_1', name: 'google', strategy: 'google-oauth2', options: { scope: [ 'email' ], client_secret: 'g00gle-s3cret' } } ],
+    settings: { friendly_name: 'Old', sandbox_versions_available: [ '8' ] }
+  };
+
+  const plan = [
+    { type: 'rule', name: 'changed', action: 'update', changes: [] },
+    { type: 'rule', name: 'added', action: 'create', changes: [] },
+    { type: 'rule', name: 'removed', action: 'delete', changes: [] },
+    { type: 'client', name: 'app', action: 'update', changes: [] },
+    { type: 'client', name: 'unchanged', action: 'unchanged', changes: [] },
+    { type: 'clientGrant', name: 'app-api', action: 'create', changes: [] },
+    { type: 'connection', name: 'google', action: 'update', changes: [] },
+    { type: 'page', name: 'login', action: 'update', changes: [] },
+    { type: 'tenant', name: 'settings', action: 'update', changes: [] }
+  ];
+
+  it('should keep the current version of what the deploy changes', () => {
+    const snapshot = takeSnapshot('abc', plan, desired, before);
+
+    expect(snapshot.deployId).to.equal('abc');
+    expect(snapshot.resources.map(resource => resource.type + ' ' + resource.lookup.name)).to.deep.equal([
+      'rule changed', 'rule added', 'rule removed', 'client app', 'clientGrant app-api', 'connection google',
+      'page login', 'tenant settings'
+    ]);
+    expect(snapshot.resources[1]).to.deep.equal({ type: 'rule', action: 'create', lookup: { name: 'added' } });
+    expect(snapshot.resources[4].lookup).to.deep.equal({ name: 'app-api', client: 'app', audience: 'https://api' });
+    expect(snapshot.resources[6].existing).to.deep.equal({ custom_login_page: 'old', custom_login_page_on: true });
+  });
+
+  it('should leave the read-only fields and secrets out of the state file', (done) => {
+    const storage = createStorage([]);
+    saveSnapshot(storage, takeSnapshot('abc', plan, desired, before))
+      .then(() => {
+        const state = JSON.stringify(storage.snapshots);
+        expect(state).to.not.contain('client_secret');
+        expect(state).to.not.contain('s3cret');
+        expect(storage.snapshots[0].resources[0].existing).to.deep.equal({ name: 'changed', script: 'old', enabled: true, order: 1, stage: 'login_success' });
+        expect(storage.snapshots[0].resources[5].existing).to.deep.equal({ options: { scope: [ 'email' ] } });
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should leave the signing secret of a resource server and the read-only fields of a client out of the state file', () => {
+    const tenant = {
+      clients: [ { client_id: 'app_1', name: 'app', owners: [ 'me' ], config_route: '/config', client_secret: 'app-s3cret', callbacks: [] } ],
+      resourceServers: [ { id: 'rs_1', name: 'api', identifier: 'https://api', is_system: false, signing_secret: 'api-s3cret', scopes: [] } ]
+    };
+    const snapshot = takeSnapshot('abc', [
+      { type: 'client', name: 'app', action: 'update', changes: [] },
+      { type: 'resourceServer', name: 'api', action: 'update', changes: [] }
+    ], {}, tenant);
+
+    expect(JSON.stringify(snapshot)).to.not.contain('s3cret');
+    expect(snapshot.resources[0].existing).to.deep.equal({ name: 'app', callbacks: [] });
+    expect(snapshot.resources[1].existing).to.deep.equal({ name: 'api', scopes: [] });
+  });
+
+  it('should only keep the latest snapshots', (done) => {
+    const storage = createStorage(Array.from({ length: MAX_SNAPSHOTS }, (value, index) => ({ deployId: 'old' + index })));
+    saveSnapshot(storage, { deployId: 'new', resources: [] })
+      .then(() => {
+        expect(storage.snapshots.length).to.equal(MAX_SNAPSHOTS);
+        expect(storage.snapshots[0].deployId).to.equal('old1');
+        expect(findSnapshot(storage.snapshots).deployId).to.equal('new');
+        expect(findSnapshot(storage.snapshots, 'old5').deployId).to.equal('old5');
+        expect(findSnapshot(storage.snapshots, 'missing')).to.equal(undefined);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should remove what was created and restore what was changed or deleted', (done) => {
+    const snapshot = takeSnapshot('abc', plan, desired, before);
+    const client = createClient({
+      rules: [
+        { id: 'rul_1', name: 'changed', script: 'new', enabled: true, order: 2, stage: 'login_success' },
+        { id: 'rul_3', name: 'added', script: 'added', enabled: true, order: 1, stage: 'login_success' }
+      ],
+      clients: before.clients,
+      clientGrants: [ { id: 'cgr_1', client_id: 'app_1', audience: 'https://api', scope: [ 'read:all' ] } ],
+      connections: before.connections,
+      settings: { friendly_name: 'New', sandbox_versions_available: [ '8' ] }
+    });
+
+    rollback(client, snapshot)
+      .then(() => {
+        expect(client.calls).to.deep.equal([
+          { method: 'rules.delete', params: { id: 'rul_3' } },
+          { method: 'clientGrants.delete', params: { id: 'cgr_1' } },
+          { method: 'rules.update', params: { id: 'rul_1' }, data: { order: 3 } },
+          { method: 'rules.update', params: { id: 'rul_1' }, data: { name: 'changed', script: 'old', enabled: true, order: 1 } },
+          { method: 'rules.create', data: { stage: 'login_success', name: 'removed', script: 'removed', enabled: true, order: 2 } },
+          { method: 'clients.update', params: { client_id: 'app_1' }, data: { name: 'app', callbacks: [ 'http://old' ] } },
+          { method: 'connections.update', params: { id: 'con_1' }, data: { options: { client_secret: 'g00gle-s3cret', scope: [ 'email' ] } } },
+          { method: 'clients.update', params: { client_id: 'global' }, data: { custom_login_page: 'old', custom_login_page_on: true } },
+          { method: 'tenant.updateSettings', data: { friendly_name: 'Old' } }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should roll back the password policy of a database connection', (done) => {
+    const database = {
+      id: 'con_2',
+      name: 'users',
+      strategy: 'auth0',
+      options: {
+        passwordPolicy: 'fair',
+        password_history: { enable: false, size: 5 },
+        password_complexity_options: { min_length: 8 },
+        configuration: { API_KEY: 's3cret' }
+      }
+    };
+    const changed = {
+      id: 'con_2',
+      name: 'users',
+      strategy: 'auth0',
+      options: {
+        passwordPolicy: 'excellent',
+        password_history: { enable: true, size: 5 },
+        password_complexity_options: { min_length: 12 },
+        configuration: { API_KEY: 'n3w-s3cret' }
+      }
+    };
+    const connectionPlan = [ { type: 'connection', name: 'users', action: 'update', changes: [] } ];
+    const snapshot = takeSnapshot('abc', connectionPlan, {}, { connections: [ database ] });
+
+    expect(JSON.stringify(snapshot)).to.not.contain('s3cret');
+    expect(snapshot.resources[0].existing.options).to.deep.equal({
+      passwordPolicy: 'fair',
+      password_history: { enable: false, size: 5 },
+      password_complexity_options: { min_length: 8 }
+    });
+
+    const client = createClient({ rules: [], clients: [], clientGrants: [], connections: [ changed ], settings: {} });
+    rollback(client, snapshot)
+      .then(() => {
+        expect(client.calls).to.deep.equal([
+          {
+            method: 'connections.update',
+            params: { id: 'con_2' },
+            data: {
+              options: {
+                configuration: { API_KEY: 'n3w-s3cret' },
+                passwordPolicy: 'fair',
+                password_history: { enable: false, size: 5 },
+                password_complexity_options: { min_length: 8 }
+              }
+            }
+          }
+        ]);
+        done();
+      })
+      .catch(done);
+  });
+});
@@ -0,0 +1,160 @@
+import createStorage, { DirectoryStorage, FileStorage } from '../src/storage';
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const rmdirSync = require('rmdir-sync');
+
+describe('#storage', () => {
+  const testDataDir = path.resolve('local', 'testData', 'storage');
+  const owner = { deployId: 'abc', tenant: 'fabrikam-dev.auth0.com', user: 'me', host: os.hostname() };
+
+  beforeEach(() => {
+    if (fs.existsSync(testDataDir)) rmdirSync(testDataDir);
+    mkdirp.sync(testDataDir);
+  });
+
+  const writeModule = (name, body) => {
+    const fileName = path.join(testDataDir, name + '.js');
+    fs.writeFileSync(fileName, body);
+    return fileName;
+  };
+
+  it('should keep the state and snapshots in a directory', (done) => {
+    const storage = new DirectoryStorage(path.join(testDataDir, 'state'));
+
+    storage.read()
+      .then((data) => {
+        expect(data).to.deep.equal({});
+        return storage.readSnapshots();
+      })
+      .then((snapshots) => {
+        expect(snapshots).to.deep.equal([]);
+        return storage.write({ excluded_rules: [ 'rule1' ] });
+      })
+      .then(() => storage.writeSnapshots([ { deployId: 'abc' } ]))
+      .then(() => storage.writeHistory([ { deployId: 'def' } ]))
+      .then(() => {
+        expect(fs.readdirSync(path.join(testDataDir, 'state')).sort())
+          .to.deep.equal([ 'history.json', 'snapshots.json', 'state.json' ]);
+
+        const reopened = new DirectoryStorage(path.join(testDataDir, 'state'));
+        return Promise.all([ reopened.read(), reopened.readSnapshots(), reopened.readHistory() ]);
+      })
+      .then((results) => {
+        expect(results[0]).to.deep.equal({ excluded_rules: [ 'rule1' ] });
+        expect(results[1]).to.deep.equal([ { deployId: 'abc' } ]);
+        expect(results[2]).to.deep.equal([ { deployId: 'def' } ]);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should lock a directory', (done) => {
+    const storage = new DirectoryStorage(path.join(testDataDir, 'state'));
+    const lockFile = path.join(testDataDir, 'state', 'lock');
+
+    storage.lock(owner)
+      .then((releaseLock) => {
+        expect(fs.existsSync(lockFile)).to.equal(true);
+        releaseLock();
+        expect(fs.existsSync(lockFile)).to.equal(false);
+        return storage.lock(owner);
+      })
+      .then(() => storage.unlock())
+      .then(() => {
+        expect(fs.existsSync(lockFile)).to.equal(false);
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should keep the state and snapshots in a file', (done) => {
+    const fileName = path.join(testDataDir, 'state');
+    const storage = new FileStorage(fileName);
+
+    storage.write({ excluded_rules: [ 'rule1' ] })
+      .then(() => storage.writeSnapshots([ { deployId: 'abc' } ]))
+      .then(() => storage.writeHistory([ { deployId: 'def' } ]))
+      .then(() => {
+        /* The state is on disk as soon as the writes resolve */
+        const reopened = new FileStorage(fileName);
+        return Promise.all([ reopened.read(), reopened.readSnapshots(), reopened.readHistory() ]);
+      })
+      .then((results) => {
+        expect(results[0]).to.deep.equal({ excluded_rules: [ 'rule1' ] });
+        expect(results[1]).to.deep.equal([ { deployId: 'abc' } ]);
+        expect(results[2]).to.deep.equal([ { deployId: 'def' } ]);
+        expect(fs.readdirSync(testDataDir)).to.deep.equal([ 'state' ]);
+        return storage.lock(owner);
+      })
+      .then((releaseLock) => {
+        expect(fs.existsSync(fileName + '.lock')).to.equal(true);
+        releaseLock();
+        done();
+      })
+      .catch(done);
+  });
+
+  it('should read the state files of node-storage', () => {
+    const fileName = path.join(testDataDir, 'state');
+    fs.writeFileSync(fileName, JSON.stringify({ context: { excluded_rules: [ 'rule1' ] }, history: [ { deployId: 'abc' } ] }));
+    const storage = new FileStorage(fileName);
+
+    return Promise.all([ storage.read(), storage.readSnapshots(), storage.readHistory() ])
+      .then((results) => {
+        expect(results[0]).to.deep.equal({ excluded_rules: [ 'rule1' ] });
+        expect(results[1]).to.deep.equal([]);
+        expect(results[2]).to.deep.equal([ { deployId: 'abc' } ]);
+      });
+  });
+
+  it('should give every environment its own state', () => {
+    const stateFile = path.join(testDataDir, 'state');
+    expect(createStorage({ stateFile: stateFile, environment: 'prod' }).fileName).to.equal(stateFile + '.prod');
+    expect(createStorage({ stateFile: stateFile }).fileName).to.equal(stateFile);
+    expect(createStorage({ stateDir: testDataDir, environment: 'prod' }).directory)
+      .to.equal(path.join(testDataDir, 'prod'));
+  });
+
+  it('should create the storage of a module with the options of the run', () => {
+    const moduleFile = writeModule('memory', `
+      module.exports = function(options) {
+        var noop = function() { return Promise.resolve(); };
+        return {
+          options: options,
+          read: noop,
+          write: noop,
+          readSnapshots: noop,
+          writeSnapshots: noop,
+          readHistory: noop,
+          writeHistory: noop,
+          lock: noop,
+          unlock: noop
+        };
+      };
+    `);
+
+    const config = () => 'value';
+    const storage = createStorage({ storageModule: moduleFile, stateDir: testDataDir, environment: 'prod', config: config });
+    expect(storage.options).to.deep.equal({ environment: 'prod', config: config });
+  });
+
+  it('should fail when the storage of a module is missing methods', () => {
+    const moduleFile = writeModule('incomplete', `
+      module.exports = function() {
+        return { read: function() {}, write: function() {} };
+      };
+    `);
+
+    expect(() => createStorage({ storageModule: moduleFile }))
+      .to.throw(/missing: readSnapshots, writeSnapshots, readHistory, writeHistory, lock, unlock/);
+  });
+
+  it('should fail when a module does not export a function', () => {
+    const moduleFile = writeModule('object', 'module.exports = {};');
+    expect(() => createStorage({ storageModule: moduleFile })).to.throw(/must export a function/);
+  });
+});
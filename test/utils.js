@@ -0,0 +1,76 @@
+import _ from 'lodash';
+
+/*
+ * A context the way Context.init() leaves it, without anything in it.
+ */
+export const createContext = data => Object.assign({
+  rules: {},
+  clients: {},
+  resourceServers: {},
+  databases: [],
+  pages: {},
+  emailTemplates: {},
+  emailProviders: {}
+}, data);
+
+/*
+ * A tenant the way loadTenant() leaves it, without anything in it.
+ */
+export const createTenant = data => Object.assign({
+  rules: [],
+  clients: [],
+  clientGrants: [],
+  resourceServers: [],
+  connections: [],
+  settings: {},
+  emailTemplates: [],
+  emailProvider: null
+}, data);
+
+const notFound = () => {
+  const err = new Error('Not Found');
+  err.statusCode = 404;
+  return Promise.reject(err);
+};
+
+/*
+ * Just enough of the ManagementClient to load a tenant and change it.  The tenant has the resources of each kind,
+ * the email templates by name.  Every change is recorded in calls with the arguments it was made with.
+ */
+export const createClient = (tenant) => {
+  const calls = [];
+  const record = (method, args) => (...values) => {
+    calls.push(_.assign({ method: method }, _.zipObject(args, values)));
+    return Promise.resolve(_.last(values));
+  };
+
+  const resource = name => ({
+    getAll: () => Promise.resolve(tenant[name] || []),
+    create: record(name + '.create', [ 'data' ]),
+    update: record(name + '.update', [ 'params', 'data' ]),
+    delete: record(name + '.delete', [ 'params' ])
+  });
+
+  return {
+    calls: calls,
+    rules: resource('rules'),
+    clients: resource('clients'),
+    clientGrants: resource('clientGrants'),
+    resourceServers: resource('resourceServers'),
+    connections: resource('connections'),
+    tenant: {
+      getSettings: () => Promise.resolve(tenant.settings || {}),
+      updateSettings: record('tenant.updateSettings', [ 'data' ])
+    },
+    emailTemplates: {
+      get: params => (tenant.emailTemplates && tenant.emailTemplates[params.name] ?
+        Promise.resolve(tenant.emailTemplates[params.name]) : notFound()),
+      update: record('emailTemplates.update', [ 'params', 'data' ])
+    },
+    emailProvider: {
+      get: () => (tenant.emailProvider ? Promise.resolve(tenant.emailProvider) : notFound()),
+      update: record('emailProvider.update', [ 'params', 'data' ]),
+      delete: record('emailProvider.delete', [])
+    }
+  };
+};
@@ -0,0 +1,186 @@
+import Context from '../src/context';
+import validateContext, { formatErrors } from '../src/validate';
+
+const expect = require('chai').expect;
+const logger = require('../src/logger');
+const rmdirSync = require('rmdir-sync');
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const constants = require('@factorten/auth0-source-control-extension-tools').constants;
+
+const check = function(done, f) {
+  try {
+    f();
+    done();
+  } catch (e) {
+    done(e);
+  }
+};
+
+const cleanThenMkdir = (dir) => {
+  try {
+    rmdirSync(dir);
+  } catch (err) {
+    logger.error(err);
+  }
+
+  mkdirp.sync(dir);
+};
+
+/*
+ * Write a repository from a map of relative file names to contents.
+ */
+const createRepo = (repoDir, files) => {
+  cleanThenMkdir(repoDir);
+  Object.keys(files).forEach((fileName) => {
+    mkdirp.sync(path.dirname(path.join(repoDir, fileName)));
+    fs.writeFileSync(path.join(repoDir, fileName), files[fileName]);
+  });
+};
+
+const validate = (repoDir, mappings) => {
+  const context = new Context(repoDir, mappings);
+  return context.init().then(() => validateContext(context, mappings));
+};
+
+describe('#validate', () => {
+  const testDataDir = path.resolve('local', 'testData');
+
+  it('should accept a valid repository', (done) => {
+    const repoDir = path.join(testDataDir, 'validate1');
+    createRepo(repoDir, {
+      [constants.CLIENTS_DIRECTORY + '/someClient.json']: '{ "app_type": "spa", "callbacks": [ "##url##" ] }',
+      [constants.CLIENTS_DIRECTORY + '/someClient.meta.json']: '{ "grants": { "https://api": [ "read:things" ] } }',
+      [constants.RESOURCE_SERVERS_DIRECTORY + '/someApi.json']: '{ "identifier": "https://api", "scopes": [ { "value": "read:things" } ] }',
+      [constants.RULES_DIRECTORY + '/someRule.js']: 'function someRule(user, context, callback) { }',
+      [constants.RULES_DIRECTORY + '/someRule.json']: '{ "enabled": true, "order": 1 }',
+      [constants.EMAIL_PROVIDERS_DIRECTORY + '/default.json']: '{ "name": "smtp" }'
+    });
+
+    validate(repoDir, { url: 'http://localhost' })
+      .then((errors) => {
+        check(done, function() {
+          expect(errors).to.deep.equal([]);
+        });
+      })
+      .catch(done);
+  });
+
+  it('should report the file, pointer and line of each error', (done) => {
+    const repoDir = path.join(testDataDir, 'validate2');
+    createRepo(repoDir, {
+      [constants.CLIENTS_DIRECTORY + '/someClient.json']: '{\n  "callbacks": "http://localhost",\n  "client_id": "abc"\n}',
+      [constants.RULES_DIRECTORY + '/someRule.js']: 'function someRule(user, context, callback) { }',
+      [constants.RULES_DIRECTORY + '/someRule.json']: '{\n  "enabled": "yes",\n  "typo": 1\n}'
+    });
+
+    const clientFile = path.relative(process.cwd(), path.join(repoDir, constants.CLIENTS_DIRECTORY, 'someClient.json'));
+    const ruleFile = path.relative(process.cwd(), path.join(repoDir, constants.RULES_DIRECTORY, 'someRule.json'));
+
+    validate(repoDir)
+      .then((errors) => {
+        check(done, function() {
+          expect(errors).to.deep.equal([
+            { file: clientFile, pointer: '/callbacks', line: 2, message: 'should be array' },
+            { file: clientFile, pointer: '/client_id', line: 3, message: 'is generated by Auth0 and can not be set' },
+            { file: ruleFile, pointer: '/typo', line: 3, message: 'is not allowed' },
+            { file: ruleFile, pointer: '/enabled', line: 2, message: 'should be boolean' }
+          ]);
+          expect(formatErrors(errors.slice(0, 1))).to.equal(clientFile + ':2 /callbacks: should be array');
+        });
+      })
+      .catch(done);
+  });
+
+  it('should report names that do not match the file name', (done) => {
+    const repoDir = path.join(testDataDir, 'validate3');
+    createRepo(repoDir, {
+      [constants.RESOURCE_SERVERS_DIRECTORY + '/someApi.yaml']: 'name: otherApi\nidentifier: https://api\n'
+    });
+
+    validate(repoDir)
+      .then((errors) => {
+        check(done, function() {
+          expect(errors).to.deep.equal([
+            {
+              file: path.relative(process.cwd(), path.join(repoDir, constants.RESOURCE_SERVERS_DIRECTORY, 'someApi.yaml')),
+              pointer: '/name',
+              line: undefined,
+              message: 'must match the file name "someApi"'
+            }
+          ]);
+        });
+      })
+      .catch(done);
+  });
+
+  it('should report invalid JSON with its line', (done) => {
+    const repoDir = path.join(testDataDir, 'validate4');
+    createRepo(repoDir, {
+      [constants.EMAIL_PROVIDERS_DIRECTORY + '/default.json']: '{\n  "name": "smtp",\n  "enabled": }'
+    });
+
+    validate(repoDir)
+      .then((errors) => {
+        check(done, function() {
+          expect(errors.length).to.equal(1);
+          expect(errors[0].line).to.equal(3);
+          expect(errors[0].message).to.contain('is not valid JSON');
+        });
+      })
+      .catch(done);
+  });
+
+  it('should validate the tenant settings', (done) => {
+    const repoDir = path.join(testDataDir, 'validate6');
+    createRepo(repoDir, {
+      'tenant/settings.json': '{\n  "friendly_name": "Some Tenant",\n  "session_lifetime": "long"\n}'
+    });
+
+    validate(repoDir)
+      .then((errors) => {
+        check(done, function() {
+          expect(errors).to.deep.equal([
+            {
+              file: path.relative(process.cwd(), path.join(repoDir, 'tenant', 'settings.json')),
+              pointer: '/session_lifetime',
+              line: 3,
+              message: 'should be number'
+            }
+          ]);
+        });
+      })
+      .catch(done);
+  });
+
+  it('should report pointers into a single file input', (done) => {
+    const dir = path.join(testDataDir, 'validate5');
+    const file = path.join(dir, 'tenant.json');
+    createRepo(dir, {
+      'tenant.json': JSON.stringify({
+        emailProviders: {
+          default: {
+            name: 'default',
+            configFile: '{ "name": "pigeon" }'
+          }
+        }
+      }, null, 2)
+    });
+
+    validate(file)
+      .then((errors) => {
+        check(done, function() {
+          expect(errors).to.deep.equal([
+            {
+              file: path.relative(process.cwd(), file),
+              pointer: '/name',
+              line: 5,
+              message: 'should be equal to one of the allowed values'
+            }
+          ]);
+        });
+      })
+      .catch(done);
+  });
+});